@@ -1,243 +1,96 @@
-// Import LicenseManager class
-// In a real extension, you'd need to properly import or include the LicenseManager
-// For this example, we'll define it in the same file or assume it's available globally
-
-// Define the LicenseManager class in the alert context
-class LicenseManager {
-  constructor() {
-    this.API_BASE_URL = 'https://licensecheckerwhop.abhishek1317.workers.dev';
-    this.CACHE_DURATION = 60 * 60 * 1000; // 1 hour in milliseconds
-    this.OFFLINE_GRACE_PERIOD = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
-  }
-
-  async generateHWID() {
-    // Collect various browser fingerprinting parameters
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    if (ctx) {
-      ctx.textBaseline = 'top';
-      ctx.font = '14px Arial';
-      ctx.fillText('LicenseCheck', 2, 2);
-    }
-    
-    const fingerprintData = {
-      userAgent: navigator.userAgent,
-      language: navigator.language,
-      platform: navigator.platform,
-      hardwareConcurrency: navigator.hardwareConcurrency,
-      screenResolution: `${screen.width}x${screen.height}`,
-      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-      canvas: canvas ? canvas.toDataURL() : '',
-      webgl: this.getWebGLFingerprint(),
-    };
-
-    // Create a hash of the fingerprint data
-    const fingerprintString = JSON.stringify(fingerprintData);
-    return this.sha256(fingerprintString);
-  }
-
-  getWebGLFingerprint() {
-    try {
-      const canvas = document.createElement('canvas');
-      const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-      
-      if (!gl) return 'no-webgl';
-      
-      const renderer = gl.getParameter(gl.RENDERER);
-      const vendor = gl.getParameter(gl.VENDOR);
-      
-      return `${renderer}-${vendor}`;
-    } catch (e) {
-      return 'webgl-error';
-    }
-  }
-
-  async sha256(message) {
-    // Simple SHA-256 implementation using crypto.subtle
-    const msgBuffer = new TextEncoder().encode(message);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  }
+// alert.js - Alert page shown in its own tab
 
-  async validateLicenseKey(key) {
-    try {
-      const hwid = await this.generateHWID();
-      
-      const response = await fetch(`${this.API_BASE_URL}/api/validate-license`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ licenseKey: key, hwid }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+import { licenseClient } from "./src/utils/licenseClient.js";
+import { TIERS, getTier, hasFeature, applyTierLimits } from "./src/utils/features.js";
 
-      const data = await response.json();
-      
-      // Store the license data in chrome.storage.local
-      const licenseData = {
-        key,
-        valid: data.valid,
-        expiresAt: data.expiresAt,
-        validatedAt: Date.now(),
-        hwid,
-      };
-      
-      await this.setStoredLicense(licenseData);
-      
-      return {
-        valid: data.valid,
-        message: data.message,
-        expiresAt: data.expiresAt,
-      };
-    } catch (error) {
-      console.error('License validation error:', error);
-      
-      // Check if there's a stored license that's still within the grace period
-      const storedLicense = await this.getStoredLicense();
-      if (storedLicense && this.isWithinGracePeriod(storedLicense)) {
-        return {
-          valid: storedLicense.valid,
-          message: storedLicense.valid ? 'Using cached license data (offline)' : 'Using cached invalid license data (offline)',
-          expiresAt: storedLicense.expiresAt,
-        };
-      }
-      
-      return {
-        valid: false,
-        message: 'License validation failed and no cached data available',
-      };
-    }
-  }
 
-  async hasValidLicense() {
-    const licenseData = await this.getStoredLicense();
-    
-    if (!licenseData) {
-      return false;
-    }
+function applyTheme(darkMode) {
+  document.body.classList.toggle("dark", !!darkMode);
+}
 
-    // Check if license is still valid
-    if (!licenseData.valid) {
-      return false;
-    }
+// The site that triggered this alert, if the background passed one along
+const alertParams = new URLSearchParams(window.location.search);
+const alertSiteId = alertParams.get("site");
 
-    // Check if license has expired
-    if (licenseData.expiresAt) {
-      const now = new Date();
-      const expiryDate = new Date(licenseData.expiresAt);
-      if (now > expiryDate) {
-        return false;
-      }
-    }
+// Friction rung of the escalation ladder: "Close" stays locked until the
+// phrase is typed or the countdown runs out
+let closeLocked = false;
+let frictionTimer = null;
 
-    // Check if cache is still valid (revalidate if needed)
-    if (this.isCacheExpired(licenseData)) {
-      // Try to revalidate in background
-      this.validateLicenseKey(licenseData.key).catch(error => {
-        console.error('Background validation failed:', error);
-      });
-    }
+// Snoozing is a way out too, so it is locked along with "Close"
+function setCloseLocked(locked) {
+  closeLocked = locked;
+  document.querySelectorAll("#dismiss-alert, .snooze-btn").forEach((btn) => {
+    btn.disabled = locked;
+  });
+}
 
-    return true;
-  }
+function setupFriction(escalation) {
+  const frictionEl = document.getElementById("alert-friction");
+  const hintEl = document.getElementById("friction-hint");
+  const inputEl = document.getElementById("friction-input");
+  if (!frictionEl || !hintEl || !inputEl) return;
 
-  async getStoredLicense() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['whop_license'], (result) => {
-        if (chrome.runtime.lastError) {
-          console.error('Error getting stored license:', chrome.runtime.lastError);
-          resolve(null);
-          return;
-        }
-        
-        resolve(result.whop_license || null);
-      });
-    });
-  }
+  const phrase = (escalation && escalation.frictionPhrase) || "";
+  let remaining = Math.max(0, Number(escalation && escalation.frictionSeconds) || 0);
 
-  setStoredLicense(licenseData) {
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.set({ whop_license: licenseData }, () => {
-        if (chrome.runtime.lastError) {
-          console.error('Error storing license:', chrome.runtime.lastError);
-          reject(chrome.runtime.lastError);
-        } else {
-          resolve();
-        }
-      });
-    });
+  function unlock() {
+    setCloseLocked(false);
+    clearInterval(frictionTimer);
+    hintEl.textContent = "You can close this now.";
+    inputEl.hidden = true;
   }
 
-  clearLicense() {
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.remove('whop_license', () => {
-        if (chrome.runtime.lastError) {
-          console.error('Error clearing license:', chrome.runtime.lastError);
-          reject(chrome.runtime.lastError);
-        } else {
-          resolve();
-        }
-      });
-    });
+  function updateHint() {
+    const wait = remaining > 0 ? ` or wait ${remaining}s` : "";
+    hintEl.textContent = phrase ? `Type "${phrase}" to close${wait}.` : `You can close this in ${remaining}s.`;
   }
 
-  async resetLicense(key) {
-    try {
-      const response = await fetch(`${this.API_BASE_URL}/api/reset-license`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ licenseKey: key }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+  if (!phrase && remaining === 0) return;
 
-      const data = await response.json();
-      
-      // Clear the stored license if reset was successful
-      if (data.success) {
-        await this.clearLicense();
-      }
-      
-      return {
-        success: data.success,
-        message: data.message,
-      };
-    } catch (error) {
-      console.error('License reset error:', error);
-      return {
-        success: false,
-        message: 'License reset failed',
-      };
+  setCloseLocked(true);
+  frictionEl.hidden = false;
+  inputEl.hidden = !phrase;
+  inputEl.addEventListener("input", () => {
+    if (phrase && inputEl.value.trim().toLowerCase() === phrase.trim().toLowerCase()) {
+      unlock();
     }
-  }
-
-  isCacheExpired(licenseData) {
-    const now = Date.now();
-    const cacheExpiryTime = licenseData.validatedAt + this.CACHE_DURATION;
-    return now > cacheExpiryTime;
-  }
+  });
 
-  isWithinGracePeriod(licenseData) {
-    const now = Date.now();
-    const gracePeriodExpiryTime = licenseData.validatedAt + this.OFFLINE_GRACE_PERIOD;
-    return now <= gracePeriodExpiryTime;
+  updateHint();
+  if (remaining > 0) {
+    frictionTimer = setInterval(() => {
+      remaining -= 1;
+      if (remaining <= 0) {
+        unlock();
+      } else {
+        updateHint();
+      }
+    }, 1000);
   }
 }
 
-// Initialize LicenseManager
-const licenseManager = new LicenseManager();
+const ALERT_STYLES = {
+  default: { icon: "⚠️", title: "What are you doing!?" },
+  gentle: { icon: "🌿", title: "Time for a pause?" },
+  urgent: { icon: "🚨", title: "STOP SCROLLING!" }
+};
+
+function applyAlertStyle(styleName) {
+  const activeName = ALERT_STYLES[styleName] ? styleName : "default";
+  const style = ALERT_STYLES[activeName];
+  Object.keys(ALERT_STYLES).forEach((name) => {
+    document.body.classList.toggle(`alert-style-${name}`, name === activeName);
+  });
 
-function applyTheme(darkMode) {
-  document.body.classList.toggle("dark", !!darkMode);
+  const iconEl = document.querySelector(".alert-icon");
+  if (iconEl) {
+    iconEl.textContent = style.icon;
+  }
+  const titleEl = document.querySelector(".alert-title");
+  if (titleEl) {
+    titleEl.textContent = style.title;
+  }
 }
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -245,111 +98,26 @@ document.addEventListener("DOMContentLoaded", () => {
   setupAlertListeners();
 });
 
-async function checkLicenseAndLoadAlert() {
-  // Check license before loading the alert
-  const hasValidLicense = await licenseManager.hasValidLicense();
-  
-  if (!hasValidLicense) {
-    // Show license activation prompt instead of alert
-    showLicensePrompt();
-    return;
+// Alerts show on every tier; the tier decides the message and whether
+// snoozing is offered
+let alertTier = TIERS.BASIC;
+
+licenseClient.onChange((status) => {
+  alertTier = getTier(status.valid);
+  updateSnoozeAvailability();
+});
+
+// Snooze only makes sense for an alert that came from a site
+function updateSnoozeAvailability() {
+  const snoozeEl = document.getElementById("alert-snooze");
+  if (snoozeEl) {
+    snoozeEl.hidden = !alertSiteId || !hasFeature(alertTier, "snooze");
   }
-  
-  // Load the alert if license is valid
-  loadAlert();
 }
 
-function showLicensePrompt() {
-  // Clear existing content
-  document.body.innerHTML = `
-    <div style="
-      display: flex;
-      flex-direction: column;
-      align-items: center;
-      justify-content: center;
-      height: 100vh;
-      text-align: center;
-      padding: 20px;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
-      background: linear-gradient(135deg, #8a2be2, #6a0dad);
-      color: white;
-    ">
-      <div style="
-        background: white;
-        color: #333;
-        padding: 30px;
-        border-radius: 16px;
-        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
-        max-width: 400px;
-        width: 100%;
-      ">
-        <h2 style="
-          margin: 0 0 15px 0;
-          font-size: 24px;
-          color: #8a2be2;
-        ">⚠️ Premium Feature Locked</h2>
-        
-        <p style="
-          margin: 0 0 20px 0;
-          font-size: 16px;
-          line-height: 1.5;
-        ">
-          This alert is a premium feature that requires a valid license.
-          Please activate your license to continue using this functionality.
-        </p>
-        
-        <div style="
-          display: flex;
-          flex-direction: column;
-          gap: 10px;
-        ">
-          <button id="activate-license-btn" style="
-            background: linear-gradient(135deg, #8a2be2, #6a0dad);
-            color: white;
-            border: none;
-            padding: 12px 20px;
-            border-radius: 8px;
-            font-size: 16px;
-            font-weight: 600;
-            cursor: pointer;
-            transition: all 0.2s ease;
-          ">Activate License</button>
-          
-          <button id="dismiss-prompt-btn" style="
-            background: #f5f5f5;
-            color: #666;
-            border: 1px solid #ddd;
-            padding: 12px 20px;
-            border-radius: 8px;
-            font-size: 16px;
-            font-weight: 600;
-            cursor: pointer;
-            transition: all 0.2s ease;
-          ">Continue Without Premium</button>
-        </div>
-      </div>
-    </div>
-  `;
-  
-  // Add event listeners to the new buttons
-  document.getElementById('activate-license-btn').addEventListener('click', () => {
-    // Open extension popup to activate license
-    chrome.runtime.sendMessage({ action: 'openPopup' }, (response) => {
-      if (chrome.runtime.lastError) {
-        // If message fails, try opening options page or popup via other means
-        if (chrome.runtime.openOptionsPage) {
-          chrome.runtime.openOptionsPage();
-        }
-      }
-    });
-    window.close();
-  });
-  
-  document.getElementById('dismiss-prompt-btn').addEventListener('click', () => {
-    // User chooses to continue without premium features
-    // Just close the tab
-    window.close();
-  });
+async function checkLicenseAndLoadAlert() {
+  alertTier = getTier(await licenseClient.hasValidLicense());
+  loadAlert();
 }
 
 function loadAlert() {
@@ -360,36 +128,67 @@ function loadAlert() {
     }
 
     const defaultMessage = "What are you doing!? You're wasting time. GET TO WORK!";
-    const settings = data.settings || { alertMessage: defaultMessage, darkMode: false };
+    const settings = applyTierLimits(data.settings || { alertMessage: defaultMessage, darkMode: false }, alertTier);
+
+    const site = (settings.trackedSites || []).find((s) => s.id === alertSiteId) || null;
+    const group = site && site.groupId
+      ? (settings.groups || []).find((g) => g.id === site.groupId) || null
+      : null;
 
-    console.log("[DGD] Alert loaded with settings:", settings);
+    console.log("[DGD] Alert loaded with settings:", settings, "site:", site);
 
     applyTheme(settings.darkMode);
+    applyAlertStyle(site && site.alertStyle);
+
+    if (alertParams.get("friction") === "1") {
+      setupFriction(settings.escalation);
+    }
+
+    updateSnoozeAvailability();
 
     const messageEl = document.getElementById("alert-message");
     if (messageEl) {
-      messageEl.textContent = settings.alertMessage || defaultMessage;
+      messageEl.textContent = (site && site.alertMessage)
+        || (group && group.alertMessage)
+        || settings.alertMessage
+        || defaultMessage;
     }
   });
 }
 
+function snoozeAlert(minutes) {
+  if (closeLocked || !alertSiteId || !hasFeature(alertTier, "snooze")) return;
+
+  const reasonEl = document.getElementById("snooze-reason");
+  const reason = reasonEl ? reasonEl.value.trim() : "";
+  chrome.runtime.sendMessage({ type: "alert_snoozed", siteId: alertSiteId, minutes, reason }, (response) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error sending message:", chrome.runtime.lastError);
+    }
+    console.log("[DGD] Snoozed:", response);
+    window.close();
+  });
+}
+
+function dismissAlert() {
+  if (closeLocked) return;
+
+  // Record the dismissal for stats, then close regardless of the outcome
+  chrome.runtime.sendMessage({ type: "alert_dismissed", siteId: alertSiteId }, () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error sending message:", chrome.runtime.lastError);
+    }
+    window.close();
+  });
+}
+
 function setupAlertListeners() {
   const backBtn = document.getElementById("back-to-work");
   if (backBtn) {
-    backBtn.addEventListener("click", async () => {
-      // Check license before allowing acknowledgment
-      const hasValidLicense = await licenseManager.hasValidLicense();
-      
-      if (!hasValidLicense) {
-        console.log("[DGD] No valid license - skipping acknowledgment");
-        // Show license prompt
-        showLicensePrompt();
-        return;
-      }
-      
+    backBtn.addEventListener("click", () => {
       console.log("[DGD] Back to work clicked");
       // User acknowledges and gets back to work: reset counter
-      chrome.runtime.sendMessage({ type: "alert_acknowledged" }, (response) => {
+      chrome.runtime.sendMessage({ type: "alert_acknowledged", siteId: alertSiteId }, (response) => {
         if (chrome.runtime.lastError) {
           console.error("Error sending message:", chrome.runtime.lastError);
         }
@@ -401,50 +200,23 @@ function setupAlertListeners() {
 
   const dismissBtn = document.getElementById("dismiss-alert");
   if (dismissBtn) {
-    dismissBtn.addEventListener("click", async () => {
-      // Check license before allowing dismissal
-      const hasValidLicense = await licenseManager.hasValidLicense();
-      
-      if (!hasValidLicense) {
-        console.log("[DGD] No valid license - showing license prompt");
-        // Show license prompt instead of dismissing
-        showLicensePrompt();
-        return;
-      }
-      
+    dismissBtn.addEventListener("click", () => {
       console.log("[DGD] Dismiss clicked");
-      // User dismisses: just close the tab (no snooze in new logic)
-      window.close();
+      // User dismisses: just close the tab
+      dismissAlert();
     });
   }
 
+  document.querySelectorAll("#alert-snooze .snooze-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      snoozeAlert(parseInt(btn.dataset.minutes, 10));
+    });
+  });
+
   // ESC key closes the alert tab
   document.addEventListener("keydown", (e) => {
     if (e.key === "Escape") {
-      // Check license before allowing escape to close
-      licenseManager.hasValidLicense().then(hasValidLicense => {
-        if (!hasValidLicense) {
-          // Show license prompt instead of closing
-          showLicensePrompt();
-        } else {
-          window.close();
-        }
-      });
+      dismissAlert();
     }
   });
 }
-
-// Listen for messages from background script to open popup
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'openPopup') {
-    if (chrome.runtime.openOptionsPage) {
-      chrome.runtime.openOptionsPage();
-    } else {
-      // Fallback: try to open via extension URL
-      const extensionUrl = chrome.runtime.getURL('popup.html');
-      window.open(extensionUrl, 'extension_popup', 'width=400,height=500');
-    }
-    sendResponse({ success: true });
-  }
-  return true; // Keep message channel open for async response
-});
\ No newline at end of file
@@ -1,314 +1,102 @@
-// Import LicenseManager class
-// In a real extension, you'd need to properly import or include the LicenseManager
-// For this example, we'll define it in the same file or assume it's available globally
-// background.js - NO imports needed
+// background.js - module service worker; shared helpers come from src/utils
+import { LicenseManager } from "./src/utils/licenseManager.js";
+import { createDefaultSchedule, isWithinSchedule, getEffectiveSchedule } from "./src/utils/schedule.js";
+import { getHistoryDay, recordHistoryEvent, importHistoryDays } from "./src/utils/history.js";
+import { normalizeHost, siteMatchesUrl, validateSitePatterns, patternToUrlRegex, suggestPatterns } from "./src/utils/matchers.js";
+import { syncPresetCatalog } from "./src/utils/presets.js";
+import { showAlertOverlay } from "./src/utils/alertOverlay.js";
+import { getTier, hasFeature, requireFeature, applyTierLimits } from "./src/utils/features.js";
 
-// Listen for license check requests
+// Listen for badge refresh requests
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'checkLicense') {
-    chrome.storage.local.get(['whop_license'], (result) => {
-      const license = result.whop_license;
-      
-      if (!license || !license.valid) {
-        sendResponse({ hasLicense: false });
-        return;
-      }
-      
-      // Check if expired
-      if (license.expiresAt) {
-        const now = new Date();
-        const expiry = new Date(license.expiresAt);
-        if (now > expiry) {
-          sendResponse({ hasLicense: false });
-          return;
-        }
-      }
-      
-      sendResponse({ hasLicense: true, license: license });
-    });
-    
-    return true; // Keep channel open
-  }
-  
   if (request.action === 'updateBadge') {
-    updateBadge(request.hasLicense);
+    refreshBadge();
     sendResponse({ success: true });
     return true;
   }
 });
 
-// Update extension badge
-function updateBadge(hasLicense) {
-  if (hasLicense) {
-    chrome.action.setBadgeBackgroundColor({ color: '#10b981' });
-    chrome.action.setBadgeText({ text: '✓' });
-  } else {
-    chrome.action.setBadgeBackgroundColor({ color: '#ef4444' });
-    chrome.action.setBadgeText({ text: '!' });
+// Extension badge: a live countdown for the tracked site in the foreground, in
+// visits ("3") or minutes ("12m") left, whichever is closer to running out
+const BADGE_COLORS = { ok: '#10b981', warning: '#f59e0b', danger: '#ef4444', paused: '#9ca3af' };
+const BADGE_KEYS = ['whop_license', 'settings', 'currentCount', 'lastSiteType', 'foreground', 'activeTime', 'trackingPause'];
+
+async function refreshBadge() {
+  const data = await chrome.storage.local.get(BADGE_KEYS);
+  if (data.trackingPause) {
+    chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.paused });
+    chrome.action.setBadgeText({ text: 'II' });
+    return;
   }
+
+  const settings = await getTierSettings({ ...DEFAULT_SETTINGS, ...(data.settings || {}) });
+  const foreground = data.foreground;
+  const site = foreground && (settings.trackedSites || []).find((s) => s.id === foreground.siteType);
+  if (!site) {
+    chrome.action.setBadgeText({ text: '' });
+    return;
+  }
+
+  const threshold = getSiteThreshold(settings, site);
+  const streak = data.lastSiteType === getStreakKey(settings, site) ? data.currentCount || 0 : 0;
+  let used = streak / threshold;
+  let text = String(Math.max(0, threshold - streak));
+
+  const limitMinutes = Number(site.timeThreshold) || 0;
+  if (limitMinutes > 0) {
+    const entry = data.activeTime && data.activeTime[site.id];
+    const ms = (entry ? entry.ms : 0) + Math.max(0, Date.now() - foreground.since);
+    if (ms / 60000 / limitMinutes > used) {
+      used = ms / 60000 / limitMinutes;
+      text = `${Math.max(0, Math.ceil(limitMinutes - ms / 60000))}m`;
+    }
+  }
+
+  const color = used >= 0.8 ? BADGE_COLORS.danger : used >= 0.5 ? BADGE_COLORS.warning : BADGE_COLORS.ok;
+  chrome.action.setBadgeBackgroundColor({ color });
+  chrome.action.setBadgeText({ text });
 }
 
 // Check on install
 chrome.runtime.onInstalled.addListener(() => {
-  chrome.storage.local.get(['whop_license'], (result) => {
-    updateBadge(result.whop_license?.valid || false);
-  });
+  refreshBadge();
 });
 
 // Check on startup
 chrome.runtime.onStartup.addListener(() => {
-  chrome.storage.local.get(['whop_license'], (result) => {
-    updateBadge(result.whop_license?.valid || false);
-  });
+  refreshBadge();
 });
 
 // Listen for storage changes
 chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === 'local' && changes.whop_license) {
-    updateBadge(changes.whop_license.newValue?.valid || false);
+  if (namespace === 'local' && BADGE_KEYS.some((key) => changes[key])) {
+    refreshBadge();
   }
 });
 
-// Define the LicenseManager class in the background context
-class LicenseManager {
-  constructor() {
-    this.API_BASE_URL = 'https://licensecheckerwhop.abhishek1317.workers.dev';
-    this.CACHE_DURATION = 60 * 60 * 1000; // 1 hour in milliseconds
-    this.OFFLINE_GRACE_PERIOD = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
-  }
-
-  async generateHWID() {
-    // Collect various browser fingerprinting parameters
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    if (ctx) {
-      ctx.textBaseline = 'top';
-      ctx.font = '14px Arial';
-      ctx.fillText('LicenseCheck', 2, 2);
-    }
-    
-    const fingerprintData = {
-      userAgent: navigator.userAgent,
-      language: navigator.language,
-      platform: navigator.platform,
-      hardwareConcurrency: navigator.hardwareConcurrency,
-      screenResolution: `${screen.width}x${screen.height}`,
-      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-      canvas: canvas ? canvas.toDataURL() : '',
-      webgl: this.getWebGLFingerprint(),
-    };
-
-    // Create a hash of the fingerprint data
-    const fingerprintString = JSON.stringify(fingerprintData);
-    return this.sha256(fingerprintString);
-  }
-
-  getWebGLFingerprint() {
-    try {
-      const canvas = document.createElement('canvas');
-      const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-      
-      if (!gl) return 'no-webgl';
-      
-      const renderer = gl.getParameter(gl.RENDERER);
-      const vendor = gl.getParameter(gl.VENDOR);
-      
-      return `${renderer}-${vendor}`;
-    } catch (e) {
-      return 'webgl-error';
-    }
-  }
-
-  async sha256(message) {
-    // Simple SHA-256 implementation using crypto.subtle
-    const msgBuffer = new TextEncoder().encode(message);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  }
-
-  async validateLicenseKey(key) {
-    try {
-      const hwid = await this.generateHWID();
-      
-      const response = await fetch(`${this.API_BASE_URL}/api/validate-license`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ licenseKey: key, hwid }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      // Store the license data in chrome.storage.local
-      const licenseData = {
-        key,
-        valid: data.valid,
-        expiresAt: data.expiresAt,
-        validatedAt: Date.now(),
-        hwid,
-      };
-      
-      await this.setStoredLicense(licenseData);
-      
-      return {
-        valid: data.valid,
-        message: data.message,
-        expiresAt: data.expiresAt,
-      };
-    } catch (error) {
-      console.error('License validation error:', error);
-      
-      // Check if there's a stored license that's still within the grace period
-      const storedLicense = await this.getStoredLicense();
-      if (storedLicense && this.isWithinGracePeriod(storedLicense)) {
-        return {
-          valid: storedLicense.valid,
-          message: storedLicense.valid ? 'Using cached license data (offline)' : 'Using cached invalid license data (offline)',
-          expiresAt: storedLicense.expiresAt,
-        };
-      }
-      
-      return {
-        valid: false,
-        message: 'License validation failed and no cached data available',
-      };
-    }
-  }
-
-  async hasValidLicense() {
-    const licenseData = await this.getStoredLicense();
-    
-    if (!licenseData) {
-      return false;
-    }
-
-    // Check if license is still valid
-    if (!licenseData.valid) {
-      return false;
-    }
-
-    // Check if license has expired
-    if (licenseData.expiresAt) {
-      const now = new Date();
-      const expiryDate = new Date(licenseData.expiresAt);
-      if (now > expiryDate) {
-        return false;
-      }
-    }
-
-    // Check if cache is still valid (revalidate if needed)
-    if (this.isCacheExpired(licenseData)) {
-      // Try to revalidate in background
-      this.validateLicenseKey(licenseData.key).catch(error => {
-        console.error('Background validation failed:', error);
-      });
-    }
-
-    return true;
-  }
-
-  async getStoredLicense() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['whop_license'], (result) => {
-        if (chrome.runtime.lastError) {
-          console.error('Error getting stored license:', chrome.runtime.lastError);
-          resolve(null);
-          return;
-        }
-        
-        resolve(result.whop_license || null);
-      });
-    });
-  }
-
-  setStoredLicense(licenseData) {
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.set({ whop_license: licenseData }, () => {
-        if (chrome.runtime.lastError) {
-          console.error('Error storing license:', chrome.runtime.lastError);
-          reject(chrome.runtime.lastError);
-        } else {
-          resolve();
-        }
-      });
-    });
-  }
-
-  clearLicense() {
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.remove('whop_license', () => {
-        if (chrome.runtime.lastError) {
-          console.error('Error clearing license:', chrome.runtime.lastError);
-          reject(chrome.runtime.lastError);
-        } else {
-          resolve();
-        }
-      });
-    });
-  }
-
-  async resetLicense(key) {
-    try {
-      const response = await fetch(`${this.API_BASE_URL}/api/reset-license`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ licenseKey: key }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      // Clear the stored license if reset was successful
-      if (data.success) {
-        await this.clearLicense();
-      }
-      
-      return {
-        success: data.success,
-        message: data.message,
-      };
-    } catch (error) {
-      console.error('License reset error:', error);
-      return {
-        success: false,
-        message: 'License reset failed',
-      };
-    }
-  }
-
-  isCacheExpired(licenseData) {
-    const now = Date.now();
-    const cacheExpiryTime = licenseData.validatedAt + this.CACHE_DURATION;
-    return now > cacheExpiryTime;
-  }
-
-  isWithinGracePeriod(licenseData) {
-    const now = Date.now();
-    const gracePeriodExpiryTime = licenseData.validatedAt + this.OFFLINE_GRACE_PERIOD;
-    return now <= gracePeriodExpiryTime;
-  }
-}
-
 const DEFAULT_SETTINGS = {
   threshold: 10,
   alertMessage: "What are you doing!? You're wasting time. GET TO WORK!",
   darkMode: false,
+  alertDelivery: "overlay",
+  gate: { enabled: false, delaySeconds: 5 },
+  escalation: {
+    enabled: false,
+    steps: ["toast", "page", "friction", "block"],
+    frictionPhrase: "I choose to focus",
+    frictionSeconds: 30,
+    blockMinutes: 30
+  },
+  strictMode: { enabled: false, cooldownMinutes: 15 },
+  focus: { workMinutes: 25, breakMinutes: 5, cycles: 4 },
+  schedule: createDefaultSchedule(false),
   trackedSites: [
     { pattern: "youtube.com/shorts/*", enabled: true, id: "youtube_shorts" },
     { pattern: "tiktok.com/*", enabled: true, id: "tiktok" },
     { pattern: "instagram.com/*", enabled: true, id: "instagram" }
-  ]
+  ],
+  groups: [],
+  allowlist: []
 };
 
 const DEFAULT_STATE = {
@@ -319,6 +107,71 @@ const DEFAULT_STATE = {
 // Initialize LicenseManager
 const licenseManager = new LicenseManager();
 
+// License state is owned here: the worker revalidates on an alarm and
+// broadcasts "license_status" to open pages whenever the status changes.
+// Pages never talk to the license backend themselves (see licenseClient.js).
+const LICENSE_CHECK_ALARM = "dgd_license_check";
+const LICENSE_CHECK_MINUTES = 60;
+let lastLicenseStatus = null;
+
+async function getLicenseStatus() {
+  const license = await licenseManager.getStoredLicense();
+  return {
+    valid: await licenseManager.hasValidLicense(),
+    key: license ? license.key : null,
+    expiresAt: license && license.expiresAt ? license.expiresAt : null
+  };
+}
+
+async function getLicenseTier() {
+  return getTier(await licenseManager.hasValidLicense());
+}
+
+// The settings tracking runs with: basic users get the limits from features.js
+// on top of whatever is stored
+async function getTierSettings(settings) {
+  return applyTierLimits(settings, await getLicenseTier());
+}
+
+async function broadcastLicenseStatus() {
+  const status = await getLicenseStatus();
+  if (lastLicenseStatus && JSON.stringify(status) === JSON.stringify(lastLicenseStatus)) return;
+
+  lastLicenseStatus = status;
+  chrome.runtime.sendMessage({ type: "license_status", status }, () => {
+    // No page open to hear it
+    void chrome.runtime.lastError;
+  });
+}
+
+async function revalidateLicense() {
+  try {
+    await licenseManager.revalidateIfStale();
+  } catch (e) {
+    log("License revalidation failed:", e);
+  }
+  // Also catches a license that expired since the last check
+  await broadcastLicenseStatus();
+}
+
+chrome.alarms.get(LICENSE_CHECK_ALARM, (alarm) => {
+  if (!alarm) {
+    chrome.alarms.create(LICENSE_CHECK_ALARM, { delayInMinutes: 1, periodInMinutes: LICENSE_CHECK_MINUTES });
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === LICENSE_CHECK_ALARM) {
+    revalidateLicense();
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes.whop_license) {
+    broadcastLicenseStatus();
+  }
+});
+
 // Debug logging helper
 function log(...args) {
   console.log("[DGD]", ...args);
@@ -365,44 +218,101 @@ function saveStorage({ settings, state }, cb) {
   });
 }
 
-function wildcardToRegExp(pattern) {
-  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&");
-  const regexString = "^" + escaped.replace(/\*/g, ".*") + "$";
-  return new RegExp(regexString);
+// Saves only the streak state the worker owns. Settings belong to the settings
+// page, so a copy read before a slow update must never be written back over
+// a save made in the meantime.
+function saveState(state, cb) {
+  chrome.storage.local.set({ currentCount: state.currentCount, lastSiteType: state.lastSiteType }, () => {
+    if (chrome.runtime.lastError) {
+      log("Error saving state:", chrome.runtime.lastError);
+    }
+    if (cb) cb();
+  });
+}
+
+function loadStorage() {
+  return new Promise((resolve) => getStorage(resolve));
+}
+
+function persistStorage(data) {
+  return new Promise((resolve) => saveStorage(data, resolve));
+}
+
+function persistState(state) {
+  return new Promise((resolve) => saveState(state, resolve));
+}
+
+// Serialize read-modify-write cycles on tracking state so overlapping tab
+// events don't clobber each other's writes
+let taskQueue = Promise.resolve();
+
+function runExclusive(task) {
+  const run = taskQueue.then(task);
+  taskQueue = run.catch((e) => log("Error in queued task:", e));
+  return run;
 }
 
-function getSiteType(url, trackedSites) {
+function parseWebUrl(url) {
   if (!url) return null;
 
+  let u;
   try {
-    const u = new URL(url);
-    const host = u.host;
-    const bareHost = host.replace(/^www\./, "");
-    const urlStr = `${host}${u.pathname}`;
-    const altUrlStr = `${bareHost}${u.pathname}`;
-
-    for (const site of trackedSites) {
-      if (!site.enabled || !site.pattern) continue;
-      const regex = wildcardToRegExp(site.pattern);
-      if (regex.test(urlStr) || regex.test(altUrlStr)) {
-        return site.id;
-      }
-    }
+    u = new URL(url);
   } catch (e) {
     // ignore invalid URLs
+    return null;
+  }
+  return u.protocol === "http:" || u.protocol === "https:" ? u : null;
+}
+
+function isAllowlisted(url, allowlist) {
+  const u = parseWebUrl(url);
+  if (!u) return false;
+  return (allowlist || []).some((entry) => entry.enabled && entry.pattern && siteMatchesUrl(entry, u));
+}
+
+// Allowlisted URLs take precedence and never resolve to a tracked site
+function getSiteType(url, trackedSites, allowlist = []) {
+  const u = parseWebUrl(url);
+  if (!u || isAllowlisted(url, allowlist)) return null;
+
+  for (const site of trackedSites) {
+    if (!site.enabled || !site.pattern) continue;
+    if (siteMatchesUrl(site, u)) {
+      return site.id;
+    }
   }
 
   return null;
 }
 
+// Site groups: every member of a group feeds one shared streak and, when the
+// group has a budget, one shared budget in place of the members' own
+function getSiteGroup(settings, site) {
+  if (!site || !site.groupId) return null;
+  return (settings.groups || []).find((g) => g.id === site.groupId) || null;
+}
+
+// Consecutive visits are counted per group, or per site for ungrouped sites
+function getStreakKey(settings, site) {
+  const group = getSiteGroup(settings, site);
+  return group ? group.id : site.id;
+}
+
+function getBudgetOwner(settings, site) {
+  const group = getSiteGroup(settings, site);
+  return group && group.budget ? group : site;
+}
+
+// A site's own threshold wins over its group's, which wins over the global one
+function getSiteThreshold(settings, site) {
+  const group = getSiteGroup(settings, site);
+  return (site && site.threshold) || (group && group.threshold) || settings.threshold || DEFAULT_SETTINGS.threshold;
+}
+
 async function handleUrl(url, tabId) {
-  // Check license before executing premium features
-  const hasValidLicense = await licenseManager.hasValidLicense();
-  
-  if (!hasValidLicense) {
-    // If no valid license, only allow basic functionality
-    // Skip premium tracking features
-    log("No valid license - skipping premium tracking");
+  if (await getTrackingPause()) {
+    log("Tracking paused - skipping", url);
     return;
   }
 
@@ -422,159 +332,1448 @@ async function handleUrl(url, tabId) {
     tabUrls.set(tabId, url);
   }
 
-  getStorage(({ settings, state }) => {
-    const siteType = getSiteType(url, settings.trackedSites || []);
-    log("Site type for", url, ":", siteType);
+  await runExclusive(() => countVisit(url, tabId));
+}
 
-    if (siteType) {
-      if (state.lastSiteType === siteType) {
+async function countVisit(url, tabId) {
+  const { settings: storedSettings, state } = await loadStorage();
+  const settings = await getTierSettings(storedSettings);
+  // Allowlisted pages are neither counted nor break the streak
+  if (isAllowlisted(url, settings.allowlist)) {
+    log("Allowlisted, not counting:", url);
+    return;
+  }
+
+  const usage = await loadUsage(settings);
+  const siteType = getSiteType(url, settings.trackedSites || []);
+  log("Site type for", url, ":", siteType);
+
+  if (siteType) {
+    const site = settings.trackedSites.find((s) => s.id === siteType);
+
+    // Tracking may have been paused while this visit waited in the queue
+    if (await getTrackingPause()) {
+      log("Tracking paused - not counting", siteType);
+      return;
+    }
+
+    // A snoozed site is off the hook until the snooze runs out
+    if (await getSnoozeUntil(siteType)) {
+      log("Snoozed, not counting", siteType);
+      return;
+    }
+
+    // Outside tracking hours the visit is neither counted nor breaks the streak
+    if (!isWithinSchedule(getEffectiveSchedule(settings, site))) {
+      log("Outside tracking hours for", siteType, "- not counting");
+      return;
+    }
+
+    // Strict mode cooldown: catches in-page navigations the network rules miss
+    const block = await getActiveBlock();
+    if (block && block.siteIds.includes(siteType)) {
+      log("Strict block active for", siteType, "- blocking tab", tabId);
+      blockTab(tabId, siteType, block.until, block.reason || "strict");
+      return;
+    }
+
+    // Budget already used up and alerted on: hard block instead of counting
+    const budgetOwner = getBudgetOwner(settings, site);
+    const before = getBudgetStatus(budgetOwner, usage);
+    if (before && before.exhausted && before.alerted) {
+      log("Budget exhausted for", siteType, "- blocking tab", tabId);
+      blockTab(tabId, siteType, before.resetsAt, "budget");
+      return;
+    }
+
+    // Mindful gate: the first visit of a session asks for an intention first
+    if (settings.gate && settings.gate.enabled && tabId !== undefined && !(await getGateSession(siteType))) {
+      log("No gate session for", siteType, "- showing the intention prompt");
+      gateTab(tabId, siteType, url);
+      return;
+    }
+
+    addSiteUsage(settings, usage, site, { visits: 1 });
+    recordHistoryEvent("visit", siteType);
+
+    const focus = await getFocusSession();
+    let shouldAlert = false;
+    let thresholdReached = false;
+
+    if (focus && focus.phase === "break") {
+      // Breaks relax the rules: the streak neither grows nor triggers
+      log("Focus break, not counting streak for", siteType);
+    } else {
+      const streakKey = getStreakKey(settings, site);
+      if (state.lastSiteType === streakKey) {
         state.currentCount += 1;
         log("Consecutive visit, count:", state.currentCount);
       } else {
         state.currentCount = 1;
-        state.lastSiteType = siteType;
-        log("New site type, count reset to 1, type:", siteType);
+        state.lastSiteType = streakKey;
+        log("New site type, count reset to 1, type:", streakKey);
       }
 
-      if (state.currentCount >= (settings.threshold || DEFAULT_SETTINGS.threshold)) {
-        log("Threshold reached!", state.currentCount, ">=", settings.threshold);
-        triggerAlert();
-        state.currentCount = 0;
-        state.lastSiteType = null;
-      }
-    } else {
-      if (state.lastSiteType !== null) {
-        log("Non-tracked site, resetting count");
-        state.currentCount = 0;
-        state.lastSiteType = null;
+      // During a focus work interval the first visit is already one too many
+      const threshold = focus ? 1 : getSiteThreshold(settings, site);
+      if (state.currentCount >= threshold) {
+        log("Threshold reached!", state.currentCount, ">=", threshold);
+        shouldAlert = true;
+        thresholdReached = true;
       }
     }
 
-    saveStorage({ settings, state });
-  });
+    const after = getBudgetStatus(budgetOwner, usage);
+    if (after && after.exhausted && !after.alerted) {
+      log("Budget used up for", budgetOwner.id);
+      markBudgetAlerted(budgetOwner, usage);
+      shouldAlert = true;
+    }
+
+    if (shouldAlert) {
+      triggerAlert(siteType, tabId);
+      state.currentCount = 0;
+      state.lastSiteType = null;
+    }
+
+    if (thresholdReached) {
+      await startStrictBlock(settings);
+    }
+  } else {
+    if (state.lastSiteType !== null) {
+      log("Non-tracked site, resetting count");
+      state.currentCount = 0;
+      state.lastSiteType = null;
+    }
+  }
+
+  await saveUsage(usage);
+  await persistState(state);
 }
 
-async function triggerAlert() {
-  // Check license before showing alert
-  const hasValidLicense = await licenseManager.hasValidLicense();
-  
-  if (!hasValidLicense) {
-    log("No valid license - skipping alert trigger");
-    return;
+// Budgets: daily or weekly allowances of visits and/or minutes per tracked
+// site. Periods start at the reset hour the user picks (and, for weeks, on
+// their chosen weekday), in local time.
+const DEFAULT_BUDGET_RESET = { hour: 0, weekStartDay: 1 };
+const BUDGET_PERIODS = ["day", "week"];
+
+function getPeriodBounds(period, now, budgetReset) {
+  const reset = { ...DEFAULT_BUDGET_RESET, ...(budgetReset || {}) };
+  const start = new Date(now);
+  start.setHours(reset.hour, 0, 0, 0);
+  if (start.getTime() > now) {
+    start.setDate(start.getDate() - 1);
+  }
+  if (period === "week") {
+    start.setDate(start.getDate() - ((start.getDay() - reset.weekStartDay + 7) % 7));
   }
 
-  const alertUrl = chrome.runtime.getURL("alert.html");
-  log("Opening alert page:", alertUrl);
-  chrome.tabs.create({ url: alertUrl }, (tab) => {
-    if (chrome.runtime.lastError) {
-      log("Error creating alert tab:", chrome.runtime.lastError);
-    } else {
-      log("Alert tab created:", tab?.id);
-    }
-  });
+  const end = new Date(start);
+  end.setDate(end.getDate() + (period === "week" ? 7 : 1));
+  return { start: start.getTime(), end: end.getTime() };
 }
 
-chrome.runtime.onInstalled.addListener(() => {
-  // Initialize defaults on first install
-  chrome.storage.local.get(["settings"], (data) => {
-    if (!data.settings) {
-      chrome.storage.local.set({
-        settings: DEFAULT_SETTINGS,
-        currentCount: DEFAULT_STATE.currentCount,
-        lastSiteType: DEFAULT_STATE.lastSiteType
-      });
-    }
-  });
-});
+async function loadUsage(settings, now = Date.now()) {
+  const { usage } = await chrome.storage.local.get("usage");
+  const next = {};
+  for (const period of BUDGET_PERIODS) {
+    const { start, end } = getPeriodBounds(period, now, settings.budgetReset);
+    const bucket = usage && usage[period];
+    // A bucket from an earlier period (or a changed reset boundary) starts over
+    next[period] = bucket && bucket.start === start ? { ...bucket, end } : { start, end, sites: {} };
+  }
+  return next;
+}
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  // Only process on URL changes or complete status with a URL
-  if (changeInfo.url || (changeInfo.status === "complete" && tab.url)) {
-    const url = changeInfo.url || tab.url;
-    log("Tab updated:", tabId, url);
-    handleUrl(url, tabId);
+function saveUsage(usage) {
+  return chrome.storage.local.set({ usage });
+}
+
+function addUsage(usage, siteId, { visits = 0, ms = 0 }) {
+  for (const period of BUDGET_PERIODS) {
+    const entry = usage[period].sites[siteId] || { visits: 0, ms: 0, alerted: false };
+    entry.visits += visits;
+    entry.ms += ms;
+    usage[period].sites[siteId] = entry;
   }
-});
+}
 
-chrome.tabs.onActivated.addListener((activeInfo) => {
-  chrome.tabs.get(activeInfo.tabId, (tab) => {
+// Usage is always kept per site, and per group too so a group budget can
+// start from what its members have already used
+function addSiteUsage(settings, usage, site, amounts) {
+  addUsage(usage, site.id, amounts);
+  const group = getSiteGroup(settings, site);
+  if (group) {
+    addUsage(usage, group.id, amounts);
+  }
+}
+
+// Works for anything with an id and a budget: a tracked site or a site group
+function getBudgetStatus(site, usage) {
+  const budget = site && site.budget;
+  if (!budget || !usage[budget.period]) return null;
+
+  const visitLimit = Number(budget.visits) || 0;
+  const minuteLimit = Number(budget.minutes) || 0;
+  if (!visitLimit && !minuteLimit) return null;
+
+  const bucket = usage[budget.period];
+  const used = bucket.sites[site.id] || { visits: 0, ms: 0, alerted: false };
+  const visitsLeft = visitLimit ? Math.max(0, visitLimit - used.visits) : null;
+  const minutesLeft = minuteLimit ? Math.max(0, minuteLimit - used.ms / 60000) : null;
+
+  return {
+    period: budget.period,
+    visitsLeft,
+    minutesLeft,
+    exhausted: visitsLeft === 0 || minutesLeft === 0,
+    alerted: !!used.alerted,
+    resetsAt: bucket.end
+  };
+}
+
+function markBudgetAlerted(site, usage) {
+  const entry = usage[site.budget.period].sites[site.id];
+  if (entry) entry.alerted = true;
+}
+
+function getBlockedPagePath(siteId, until, reason) {
+  return `/blocked.html?reason=${reason}&site=${encodeURIComponent(siteId)}&until=${until}`;
+}
+
+function blockTab(tabId, siteId, until, reason) {
+  if (tabId === undefined) return;
+  const blockedUrl = chrome.runtime.getURL(getBlockedPagePath(siteId, until, reason));
+  chrome.tabs.update(tabId, { url: blockedUrl }, () => {
     if (chrome.runtime.lastError) {
-      log("Error getting tab:", chrome.runtime.lastError);
-      return;
-    }
-    if (tab && tab.url) {
-      log("Tab activated:", activeInfo.tabId, tab.url);
-      handleUrl(tab.url, activeInfo.tabId);
+      log("Error blocking tab:", chrome.runtime.lastError);
     }
   });
-});
+}
 
-// Clean up when tabs are closed
-chrome.tabs.onRemoved.addListener((tabId) => {
-  tabUrls.delete(tabId);
-});
+// Strict mode: once a threshold is hit, dynamic declarativeNetRequest rules
+// redirect every enabled tracked site to blocked.html until the cooldown ends.
+// The rules and the alarm that removes them both outlive the service worker.
+const BLOCK_END_ALARM = "dgd_block_end";
+const BLOCK_RULE_ID_BASE = 1000;
+const BLOCK_RULE_ID_LIMIT = 2000;
 
-// Handle messages from the alert page for acknowledging alerts
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (!message || !message.type) return;
+async function getActiveBlock() {
+  const { activeBlock } = await chrome.storage.local.get("activeBlock");
+  if (!activeBlock || activeBlock.until <= Date.now()) return null;
+  return activeBlock;
+}
 
-  if (message.type === "reset_counter") {
-    // Check license before allowing counter reset
-    licenseManager.hasValidLicense().then(hasValidLicense => {
-      if (!hasValidLicense) {
-        log("No valid license - skipping counter reset");
-        sendResponse({ ok: false, error: "No valid license" });
-        return;
-      }
-      
-      // Reset everything from settings page
-      getStorage(({ settings, state }) => {
-        state.currentCount = 0;
-        state.lastSiteType = null;
-        // Also clear the tab URL cache
-        tabUrls.clear();
-        saveStorage({ settings, state }, () => {
-          log("Counter reset from settings");
-          sendResponse({ ok: true });
-        });
-      });
+async function getBlockRuleIds() {
+  const rules = await chrome.declarativeNetRequest.getDynamicRules();
+  return rules
+    .map((rule) => rule.id)
+    .filter((id) => id >= BLOCK_RULE_ID_BASE && id < BLOCK_RULE_ID_LIMIT);
+}
+
+async function isSupportedRuleRegex(regex) {
+  if (!regex) return false;
+  const { isSupported } = await chrome.declarativeNetRequest.isRegexSupported({ regex });
+  return isSupported;
+}
+
+// Sites whose patterns can't be expressed as a rule (URL patterns, regexes
+// RE2 rejects) are still caught by the tab-level check in countVisit
+async function buildBlockRules(sites, until, reason, allowlist = []) {
+  const rules = [];
+  const addRule = (priority, action, regexFilter) => {
+    rules.push({
+      id: BLOCK_RULE_ID_BASE + rules.length,
+      priority,
+      action,
+      condition: { regexFilter, isUrlFilterCaseSensitive: false, resourceTypes: ["main_frame"] }
     });
-    return true;
-  }
+  };
 
-  if (message.type === "test_alert") {
-    // Manual test to verify alert works
-    licenseManager.hasValidLicense().then(hasValidLicense => {
-      if (!hasValidLicense) {
-        log("No valid license - skipping test alert");
-        sendResponse({ ok: false, error: "No valid license" });
-        return;
+  for (const site of sites) {
+    const regexFilter = patternToUrlRegex(site.matchType, site.pattern);
+    if (!(await isSupportedRuleRegex(regexFilter))) {
+      log("No block rule for pattern, relying on tab checks:", site.pattern);
+      continue;
+    }
+    addRule(1, {
+      type: "redirect",
+      redirect: { extensionPath: getBlockedPagePath(site.id, until, reason) }
+    }, regexFilter);
+
+    // Exclusions win over the redirect
+    for (const excluded of site.exclude || []) {
+      const excludedRegex = patternToUrlRegex(site.matchType, excluded);
+      if (await isSupportedRuleRegex(excludedRegex)) {
+        addRule(2, { type: "allow" }, excludedRegex);
       }
-      
-      log("Manual alert test triggered");
-      triggerAlert();
-      sendResponse({ ok: true });
-    });
-    return true;
+    }
   }
 
-  if (message.type === "alert_acknowledged") {
-    // User said they're getting back to work: clear counters
-    licenseManager.hasValidLicense().then(hasValidLicense => {
-      if (!hasValidLicense) {
-        log("No valid license - skipping alert acknowledgment");
-        sendResponse({ ok: false, error: "No valid license" });
-        return;
-      }
-      
-      getStorage(({ settings, state }) => {
-        state.currentCount = 0;
-        state.lastSiteType = null;
-        saveStorage({ settings, state }, () => {
-          sendResponse({ ok: true });
-        });
-      });
-    });
-    return true;
+  for (const entry of allowlist) {
+    if (!entry.enabled || !entry.pattern) continue;
+    const allowedRegex = patternToUrlRegex(entry.matchType, entry.pattern);
+    if (await isSupportedRuleRegex(allowedRegex)) {
+      addRule(2, { type: "allow" }, allowedRegex);
+    }
   }
-});
\ No newline at end of file
+  return rules;
+}
+
+async function startBlock(sites, minutes, reason, allowlist = []) {
+  const existing = await getActiveBlock();
+  const until = Math.max(Date.now() + minutes * 60 * 1000, existing ? existing.until : 0);
+  const siteIds = sites.map((site) => site.id);
+
+  try {
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: await getBlockRuleIds(),
+      addRules: await buildBlockRules(sites, until, reason, allowlist)
+    });
+  } catch (e) {
+    log("Error installing block rules:", e);
+    return;
+  }
+
+  await chrome.storage.local.set({ activeBlock: { until, siteIds, reason } });
+  chrome.alarms.create(BLOCK_END_ALARM, { when: until });
+  log("Blocking", siteIds, "until", new Date(until).toLocaleTimeString());
+
+  // Rules only apply to new requests, so move already-open tabs off the sites too
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs) {
+    const siteType = getSiteType(tab.url, sites, allowlist);
+    if (siteType) {
+      blockTab(tab.id, siteType, until, reason);
+    }
+  }
+}
+
+async function endBlock() {
+  try {
+    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: await getBlockRuleIds() });
+  } catch (e) {
+    log("Error removing block rules:", e);
+  }
+  await chrome.storage.local.remove("activeBlock");
+  chrome.alarms.clear(BLOCK_END_ALARM);
+  log("Block ended");
+}
+
+async function startStrictBlock(settings) {
+  const strictMode = { ...DEFAULT_SETTINGS.strictMode, ...(settings.strictMode || {}) };
+  if (!strictMode.enabled) return;
+
+  const sites = (settings.trackedSites || []).filter((site) => site.enabled && site.pattern);
+  await startBlock(sites, Math.max(1, Number(strictMode.cooldownMinutes) || 1), "strict", settings.allowlist);
+}
+
+// Drop rules left behind if the end alarm was missed (e.g. browser closed)
+async function syncBlockRules() {
+  const { activeBlock } = await chrome.storage.local.get("activeBlock");
+  if (activeBlock && activeBlock.until > Date.now()) {
+    chrome.alarms.create(BLOCK_END_ALARM, { when: activeBlock.until });
+  } else if ((await getBlockRuleIds()).length > 0 || activeBlock) {
+    await endBlock();
+  }
+}
+
+syncBlockRules().catch((e) => log("Error syncing block rules:", e));
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BLOCK_END_ALARM) {
+    endBlock();
+  }
+});
+
+// Focus sessions: Pomodoro-style work/break cycles started from the popup.
+// During work intervals the first visit to a tracked site triggers the alert;
+// breaks suspend the streak and time thresholds. The session lives in storage
+// and its phase changes are driven by an alarm, so it survives worker restarts.
+const FOCUS_PHASE_ALARM = "dgd_focus_phase";
+const DEFAULT_FOCUS = { workMinutes: 25, breakMinutes: 5, cycles: 4 };
+
+async function getFocusSession() {
+  const { focusSession } = await chrome.storage.local.get("focusSession");
+  return focusSession || null;
+}
+
+function nextFocusPhase(session) {
+  if (session.phase === "work") {
+    return {
+      ...session,
+      phase: "break",
+      phaseEndsAt: session.phaseEndsAt + session.breakMinutes * 60 * 1000
+    };
+  }
+  if (session.cycles && session.cycle >= session.cycles) {
+    return null;
+  }
+  return {
+    ...session,
+    phase: "work",
+    cycle: session.cycle + 1,
+    phaseEndsAt: session.phaseEndsAt + session.workMinutes * 60 * 1000
+  };
+}
+
+async function startFocusSession(options = {}) {
+  const { settings } = await loadStorage();
+  const config = { ...DEFAULT_FOCUS, ...(settings.focus || {}), ...options };
+  const now = Date.now();
+  const session = {
+    phase: "work",
+    cycle: 1,
+    workMinutes: Math.max(1, Number(config.workMinutes) || DEFAULT_FOCUS.workMinutes),
+    breakMinutes: Math.max(1, Number(config.breakMinutes) || DEFAULT_FOCUS.breakMinutes),
+    cycles: Math.max(0, Number(config.cycles) || 0),
+    startedAt: now
+  };
+  session.phaseEndsAt = now + session.workMinutes * 60 * 1000;
+
+  await chrome.storage.local.set({ focusSession: session });
+  chrome.alarms.create(FOCUS_PHASE_ALARM, { when: session.phaseEndsAt });
+  log("Focus session started:", session);
+  return session;
+}
+
+async function stopFocusSession() {
+  await chrome.storage.local.remove("focusSession");
+  chrome.alarms.clear(FOCUS_PHASE_ALARM);
+  log("Focus session stopped");
+}
+
+// Step past every phase boundary that has already gone by, which also covers
+// alarms missed while the browser was closed
+async function advanceFocusSession() {
+  let session = await getFocusSession();
+  if (!session) return;
+
+  const now = Date.now();
+  while (session && session.phaseEndsAt <= now) {
+    session = nextFocusPhase(session);
+  }
+
+  if (!session) {
+    await stopFocusSession();
+    return;
+  }
+
+  await chrome.storage.local.set({ focusSession: session });
+  chrome.alarms.create(FOCUS_PHASE_ALARM, { when: session.phaseEndsAt });
+  log("Focus session now in", session.phase, "phase, cycle", session.cycle);
+}
+
+advanceFocusSession().catch((e) => log("Error resuming focus session:", e));
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === FOCUS_PHASE_ALARM) {
+    advanceFocusSession();
+  }
+});
+
+// Mindful gate: before a tracked site is used for the first time in a session,
+// its tab is sent to gate.html to name an intention and pick a time budget.
+// The session ends when that budget runs out, which fires the alert; the next
+// visit after that goes through the gate again.
+const GATE_ALARM_PREFIX = "dgd_gate:";
+const GATE_BUDGET_OPTIONS = [5, 15, 30];
+
+async function getGateSession(siteId) {
+  const { gateSessions } = await chrome.storage.local.get("gateSessions");
+  const session = gateSessions && gateSessions[siteId];
+  return session && session.until > Date.now() ? session : null;
+}
+
+function gateTab(tabId, siteId, url) {
+  // The tab comes back to this URL once the gate is passed; let it be processed again
+  tabUrls.delete(tabId);
+  const gateUrl = chrome.runtime.getURL(`gate.html?site=${encodeURIComponent(siteId)}&url=${encodeURIComponent(url)}`);
+  chrome.tabs.update(tabId, { url: gateUrl }, () => {
+    if (chrome.runtime.lastError) {
+      log("Error showing gate:", chrome.runtime.lastError);
+    }
+  });
+}
+
+async function startGateSession(siteId, minutes, intention) {
+  const budget = GATE_BUDGET_OPTIONS.includes(minutes) ? minutes : GATE_BUDGET_OPTIONS[0];
+  const now = Date.now();
+  const { gateSessions = {} } = await chrome.storage.local.get("gateSessions");
+
+  const next = Object.fromEntries(Object.entries(gateSessions).filter(([, session]) => session.until > now));
+  const trimmedIntention = typeof intention === "string" ? intention.trim().slice(0, 200) : "";
+  next[siteId] = { since: now, until: now + budget * 60 * 1000, intention: trimmedIntention };
+  await chrome.storage.local.set({ gateSessions: next });
+
+  chrome.alarms.create(GATE_ALARM_PREFIX + siteId, { when: next[siteId].until });
+  await recordHistoryEvent("intention", siteId, trimmedIntention ? { minutes: budget, reason: trimmedIntention } : { minutes: budget });
+  log("Gate passed for", siteId, "with", budget, "minutes:", trimmedIntention);
+  return next[siteId];
+}
+
+async function endGateSession(siteId) {
+  const { gateSessions = {} } = await chrome.storage.local.get("gateSessions");
+  delete gateSessions[siteId];
+  await chrome.storage.local.set({ gateSessions });
+
+  // Paused tracking raises no alerts, gate budgets included
+  if (await getTrackingPause()) {
+    log("Gate budget for", siteId, "ran out while tracking is paused");
+    return;
+  }
+
+  // Only nag if the site is still open; if the user already left, the budget did its job
+  const { settings } = await loadStorage();
+  const tabs = await chrome.tabs.query({});
+  const siteTabs = tabs.filter((tab) => getSiteType(tab.url, settings.trackedSites || [], settings.allowlist) === siteId);
+  if (siteTabs.length === 0) {
+    log("Gate budget for", siteId, "ran out with no tab open");
+    return;
+  }
+
+  const tab = siteTabs.find((t) => t.active) || siteTabs[0];
+  log("Gate budget for", siteId, "ran out - alerting in tab", tab.id);
+  triggerAlert(siteId, tab.id);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name.startsWith(GATE_ALARM_PREFIX)) {
+    endGateSession(alarm.name.slice(GATE_ALARM_PREFIX.length));
+  }
+});
+
+async function triggerAlert(siteId, tabId) {
+  // Manual test alerts have no site and stay out of the history
+  if (siteId) {
+    recordHistoryEvent("alert", siteId);
+  }
+
+  const tier = await getLicenseTier();
+  const settings = applyTierLimits((await loadStorage()).settings, tier);
+  const snooze = hasFeature(tier, "snooze");
+  // Manual test alerts skip the ladder and always show the plain page
+  const step = siteId ? await nextEscalationStep(settings) : "page";
+  log("Alert escalation step:", step);
+
+  if (step === "toast" || (step === "page" && siteId && settings.alertDelivery === "notification")) {
+    showAlertNotification(settings, siteId, snooze);
+    return;
+  }
+  if (step === "block") {
+    const escalation = getEscalationSettings(settings);
+    const sites = (settings.trackedSites || []).filter((site) => site.enabled && site.pattern);
+    await startBlock(sites, escalation.blockMinutes, "escalation", settings.allowlist);
+    return;
+  }
+
+  const friction = step === "friction";
+  // Friction needs a page to hold "Close", so notification users get the overlay for it
+  if (siteId && tabId !== undefined && settings.alertDelivery !== "tab") {
+    if (await showOverlayAlert(settings, siteId, tabId, friction, snooze)) return;
+  }
+
+  // Pass the triggering site along so the page can show its message and style
+  const params = new URLSearchParams();
+  if (siteId) params.set("site", siteId);
+  if (friction) params.set("friction", "1");
+  const alertUrl = chrome.runtime.getURL(params.toString() ? `alert.html?${params}` : "alert.html");
+  log("Opening alert page:", alertUrl);
+  chrome.tabs.create({ url: alertUrl }, (tab) => {
+    if (chrome.runtime.lastError) {
+      log("Error creating alert tab:", chrome.runtime.lastError);
+    } else {
+      log("Alert tab created:", tab?.id);
+    }
+  });
+}
+
+function getAlertMessage(settings, siteId) {
+  const site = (settings.trackedSites || []).find((s) => s.id === siteId);
+  const group = getSiteGroup(settings, site);
+  return (site && site.alertMessage)
+    || (group && group.alertMessage)
+    || settings.alertMessage
+    || DEFAULT_SETTINGS.alertMessage;
+}
+
+// Snoozes: "I'm doing this on purpose" from an alert. Visits to the site and
+// time spent on it aren't counted until the snooze expires.
+const MAX_SNOOZE_MINUTES = 240;
+
+async function getSnoozeUntil(siteId) {
+  const { snoozes } = await chrome.storage.local.get("snoozes");
+  const until = snoozes && snoozes[siteId];
+  return until && until > Date.now() ? until : null;
+}
+
+async function snoozeSite(siteId, minutes, reason) {
+  const duration = Math.min(MAX_SNOOZE_MINUTES, Math.max(1, Math.round(Number(minutes) || 0)));
+  const now = Date.now();
+  const { snoozes = {} } = await chrome.storage.local.get("snoozes");
+
+  // Drop expired entries while we're here
+  const next = Object.fromEntries(Object.entries(snoozes).filter(([, until]) => until > now));
+  next[siteId] = now + duration * 60 * 1000;
+  await chrome.storage.local.set({ snoozes: next });
+
+  const trimmedReason = typeof reason === "string" ? reason.trim().slice(0, 200) : "";
+  await recordHistoryEvent("snooze", siteId, trimmedReason ? { minutes: duration, reason: trimmedReason } : { minutes: duration });
+  log("Snoozed", siteId, "for", duration, "minutes", trimmedReason ? `(${trimmedReason})` : "");
+  return next[siteId];
+}
+
+// Pausing tracking from the popup: while paused, visits are not counted and
+// foreground time is not credited. Timed pauses end on an alarm; an indefinite
+// pause (until: null) instead shows a reminder notification every hour.
+const PAUSE_END_ALARM = "dgd_pause_end";
+const PAUSE_REMINDER_ALARM = "dgd_pause_reminder";
+const PAUSE_REMINDER_MINUTES = 60;
+const PAUSE_NOTIFICATION_ID = "dgd_pause_reminder";
+const PAUSE_DURATIONS = ["15", "60", "tomorrow", "indefinite"];
+
+function getPauseUntil(duration, now = Date.now()) {
+  if (duration === "indefinite") return null;
+  if (duration === "tomorrow") {
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight.getTime();
+  }
+  return now + Number(duration) * 60 * 1000;
+}
+
+async function getTrackingPause() {
+  const { trackingPause } = await chrome.storage.local.get("trackingPause");
+  // A timed pause is over even if its alarm hasn't fired yet
+  if (trackingPause && trackingPause.until && trackingPause.until <= Date.now()) return null;
+  return trackingPause || null;
+}
+
+function schedulePauseAlarms(pause) {
+  if (pause.until) {
+    chrome.alarms.create(PAUSE_END_ALARM, { when: pause.until });
+  } else {
+    chrome.alarms.create(PAUSE_REMINDER_ALARM, { periodInMinutes: PAUSE_REMINDER_MINUTES });
+  }
+}
+
+async function pauseTracking(duration) {
+  if (!PAUSE_DURATIONS.includes(duration)) {
+    throw new Error(`Unknown pause duration: ${duration}`);
+  }
+
+  const now = Date.now();
+  const pause = { since: now, until: getPauseUntil(duration, now) };
+  await chrome.storage.local.set({ trackingPause: pause });
+  chrome.alarms.clear(PAUSE_END_ALARM);
+  chrome.alarms.clear(PAUSE_REMINDER_ALARM);
+  schedulePauseAlarms(pause);
+  await recordHistoryEvent("pause", null, pause.until ? { minutes: Math.round((pause.until - now) / 60000) } : null);
+  log("Tracking paused", pause.until ? `until ${new Date(pause.until).toLocaleString()}` : "indefinitely");
+  await refreshForeground();
+  return pause;
+}
+
+async function resumeTracking(automatic = false) {
+  const { trackingPause } = await chrome.storage.local.get("trackingPause");
+  if (!trackingPause) return;
+
+  await chrome.storage.local.remove("trackingPause");
+  chrome.alarms.clear(PAUSE_END_ALARM);
+  chrome.alarms.clear(PAUSE_REMINDER_ALARM);
+  chrome.notifications.clear(PAUSE_NOTIFICATION_ID);
+
+  const end = automatic && trackingPause.until ? trackingPause.until : Date.now();
+  const detail = { minutes: Math.round((end - trackingPause.since) / 60000) };
+  if (automatic) detail.automatic = true;
+  await recordHistoryEvent("resume", null, detail, end);
+  log("Tracking resumed", automatic ? "automatically" : "");
+  await refreshForeground();
+}
+
+function showPauseReminder(pause) {
+  const minutes = Math.round((Date.now() - pause.since) / 60000);
+  const elapsed = minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+  chrome.notifications.create(PAUSE_NOTIFICATION_ID, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+    title: "Don't Get Distracted is paused",
+    message: `Tracking has been paused for ${elapsed}.`,
+    buttons: [{ title: "Resume tracking" }],
+    priority: 1
+  }, () => {
+    if (chrome.runtime.lastError) {
+      log("Error showing pause reminder:", chrome.runtime.lastError);
+    }
+  });
+}
+
+// Catch up on a pause that ran out while the browser was closed
+async function syncTrackingPause() {
+  const { trackingPause } = await chrome.storage.local.get("trackingPause");
+  if (!trackingPause) return;
+
+  if (trackingPause.until && trackingPause.until <= Date.now()) {
+    await resumeTracking(true);
+  } else {
+    schedulePauseAlarms(trackingPause);
+  }
+}
+
+syncTrackingPause().catch((e) => log("Error syncing tracking pause:", e));
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === PAUSE_END_ALARM) {
+    resumeTracking(true);
+  } else if (alarm.name === PAUSE_REMINDER_ALARM) {
+    const pause = await getTrackingPause();
+    if (pause) {
+      showPauseReminder(pause);
+    } else {
+      chrome.alarms.clear(PAUSE_REMINDER_ALARM);
+    }
+  }
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId) => {
+  if (notificationId === PAUSE_NOTIFICATION_ID) {
+    resumeTracking();
+  }
+});
+
+// Answers to an alert, shared by the alert page, the overlay and notifications
+function acknowledgeAlert(siteId) {
+  recordHistoryEvent("acknowledge", siteId);
+  // Queued like countVisit so a visit counted meanwhile can't undo the reset
+  return runExclusive(async () => {
+    const { state } = await loadStorage();
+    state.currentCount = 0;
+    state.lastSiteType = null;
+    await persistState(state);
+    await new Promise((resolve) => clearActiveTime(resolve));
+  });
+}
+
+async function snoozeAlert(siteId, minutes, reason) {
+  const until = await snoozeSite(siteId, minutes, reason);
+  // The streak that led to the alert is forgiven along with the snooze
+  await runExclusive(async () => {
+    const { state } = await loadStorage();
+    state.currentCount = 0;
+    state.lastSiteType = null;
+    await persistState(state);
+  });
+  await refreshForeground();
+  return until;
+}
+
+// Escalation ladder: each alert of the day moves one rung up the configured
+// steps (toast, page, friction, block) and stays on the last rung. The count
+// lives in storage so it survives the service worker and resets at midnight.
+const ESCALATION_STEPS = ["toast", "page", "friction", "block"];
+
+function getEscalationSettings(settings) {
+  const escalation = { ...DEFAULT_SETTINGS.escalation, ...(settings.escalation || {}) };
+  const steps = (escalation.steps || []).filter((step) => ESCALATION_STEPS.includes(step));
+  return {
+    ...escalation,
+    steps: steps.length > 0 ? steps : DEFAULT_SETTINGS.escalation.steps,
+    frictionSeconds: Math.max(0, Number(escalation.frictionSeconds) || 0),
+    blockMinutes: Math.max(1, Number(escalation.blockMinutes) || DEFAULT_SETTINGS.escalation.blockMinutes)
+  };
+}
+
+async function nextEscalationStep(settings) {
+  const escalation = getEscalationSettings(settings);
+  if (!escalation.enabled) return "page";
+
+  const today = getHistoryDay(new Date());
+  const { escalationState } = await chrome.storage.local.get("escalationState");
+  const count = escalationState && escalationState.day === today ? escalationState.count + 1 : 1;
+  await chrome.storage.local.set({ escalationState: { day: today, count } });
+
+  return escalation.steps[Math.min(count, escalation.steps.length) - 1];
+}
+
+// Notification ids carry the site so the buttons know what they answer
+const ALERT_NOTIFICATION_PREFIX = "dgd_alert:";
+const NOTIFICATION_SNOOZE_MINUTES = 10;
+
+function showAlertNotification(settings, siteId, snooze = true) {
+  const options = {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+    title: "Don't Get Distracted",
+    message: getAlertMessage(settings, siteId),
+    priority: 2,
+    requireInteraction: true
+  };
+  if (siteId) {
+    options.buttons = [{ title: "Back to work" }];
+    if (snooze) {
+      options.buttons.push({ title: `Snooze ${NOTIFICATION_SNOOZE_MINUTES} min` });
+    }
+  }
+
+  chrome.notifications.create(`${ALERT_NOTIFICATION_PREFIX}${siteId || ""}:${Date.now()}`, options, () => {
+    if (chrome.runtime.lastError) {
+      log("Error showing alert notification:", chrome.runtime.lastError);
+    }
+  });
+}
+
+function getNotificationSiteId(notificationId) {
+  if (!notificationId.startsWith(ALERT_NOTIFICATION_PREFIX)) return null;
+  return notificationId.slice(ALERT_NOTIFICATION_PREFIX.length).split(":")[0] || null;
+}
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  const siteId = getNotificationSiteId(notificationId);
+  if (!siteId) return;
+
+  const answer = buttonIndex === 0
+    ? acknowledgeAlert(siteId)
+    : snoozeAlert(siteId, NOTIFICATION_SNOOZE_MINUTES);
+  answer.finally(() => chrome.notifications.clear(notificationId));
+});
+
+chrome.notifications.onClosed.addListener((notificationId, byUser) => {
+  // Closing the notification by hand counts like closing the alert page
+  const siteId = getNotificationSiteId(notificationId);
+  if (siteId && byUser) {
+    recordHistoryEvent("dismiss", siteId);
+  }
+});
+
+// Injects the overlay into the offending tab. Resolves false when the page
+// can't be scripted (browser pages, the Web Store, a tab that just closed)
+// so the caller can fall back to the alert tab.
+async function showOverlayAlert(settings, siteId, tabId, friction = false, snooze = true) {
+  const site = (settings.trackedSites || []).find((s) => s.id === siteId);
+  const escalation = getEscalationSettings(settings);
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: showAlertOverlay,
+      args: [{
+        siteId,
+        message: getAlertMessage(settings, siteId),
+        style: site && site.alertStyle,
+        darkMode: !!settings.darkMode,
+        snooze,
+        friction: friction
+          ? { phrase: escalation.frictionPhrase, seconds: escalation.frictionSeconds }
+          : null
+      }]
+    });
+    log("Alert overlay shown in tab", tabId);
+    return true;
+  } catch (e) {
+    log("Overlay injection failed, falling back to alert tab:", e.message);
+    return false;
+  }
+}
+
+// Foreground time tracking: credits minutes to the tracked site shown in the
+// active tab of the focused window while the user is not idle. State lives in
+// storage so it survives service worker restarts.
+const ACTIVE_TICK_ALARM = "dgd_active_tick";
+const IDLE_DETECTION_SECONDS = 300;
+const MAX_CREDIT_MS = 2 * 60 * 1000; // never credit more than this per update (sleep, worker restarts)
+const SESSION_GAP_MS = 5 * 60 * 1000; // time away from a site before its timer starts over
+
+function refreshForeground() {
+  return runExclusive(updateForeground);
+}
+
+async function getForegroundSite(settings) {
+  if (await getTrackingPause()) return null;
+
+  const idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+  if (idleState !== "active") return null;
+
+  const win = await chrome.windows.getLastFocused({ populate: true });
+  if (!win || !win.focused || !win.tabs) return null;
+
+  const tab = win.tabs.find((t) => t.active);
+  if (!tab || !tab.url) return null;
+
+  const siteType = getSiteType(tab.url, settings.trackedSites || [], settings.allowlist);
+  if (!siteType) return null;
+
+  const site = settings.trackedSites.find((s) => s.id === siteType);
+  if (!isWithinSchedule(getEffectiveSchedule(settings, site))) return null;
+  if (await getSnoozeUntil(siteType)) return null;
+
+  return { siteType, tabId: tab.id };
+}
+
+async function updateForeground() {
+  const now = Date.now();
+  const settings = await getTierSettings((await loadStorage()).settings);
+  const usage = await loadUsage(settings, now);
+  const data = await chrome.storage.local.get(["foreground", "activeTime"]);
+  const activeTime = data.activeTime || {};
+  const previous = data.foreground || null;
+
+  // Credit the time spent on whatever was in the foreground since the last update
+  if (previous && previous.siteType) {
+    const credit = Math.min(MAX_CREDIT_MS, Math.max(0, now - previous.since));
+    const entry = activeTime[previous.siteType] || { ms: 0, lastSeen: previous.since };
+    entry.ms += credit;
+    entry.lastSeen = now;
+    activeTime[previous.siteType] = entry;
+    const site = (settings.trackedSites || []).find((s) => s.id === previous.siteType);
+    if (site) {
+      addSiteUsage(settings, usage, site, { ms: credit });
+    }
+    let shouldAlert = false;
+    let thresholdReached = false;
+
+    const focus = await getFocusSession();
+    const onBreak = focus && focus.phase === "break";
+    const limitMinutes = site && site.enabled && !onBreak ? Number(site.timeThreshold) || 0 : 0;
+    if (limitMinutes > 0 && entry.ms >= limitMinutes * 60 * 1000) {
+      log("Time threshold reached for", previous.siteType, ":", limitMinutes, "minutes");
+      activeTime[previous.siteType] = { ms: 0, lastSeen: now };
+      shouldAlert = true;
+      thresholdReached = true;
+    }
+
+    const budgetOwner = site && getBudgetOwner(settings, site);
+    const budget = getBudgetStatus(budgetOwner, usage);
+    if (budget && budget.exhausted && !budget.alerted) {
+      log("Budget used up for", budgetOwner.id);
+      markBudgetAlerted(budgetOwner, usage);
+      shouldAlert = true;
+    }
+
+    if (shouldAlert) {
+      triggerAlert(previous.siteType, previous.tabId);
+    }
+
+    if (thresholdReached) {
+      await startStrictBlock(settings);
+    }
+  }
+
+  let current = await getForegroundSite(settings);
+
+  if (current) {
+    const site = settings.trackedSites.find((s) => s.id === current.siteType);
+    const block = await getActiveBlock();
+    const budget = getBudgetStatus(site && getBudgetOwner(settings, site), usage);
+    if (block && block.siteIds.includes(current.siteType)) {
+      log("Strict block active for", current.siteType, "- blocking foreground tab");
+      blockTab(current.tabId, current.siteType, block.until, block.reason || "strict");
+      current = null;
+    } else if (budget && budget.exhausted && budget.alerted) {
+      log("Budget exhausted for", current.siteType, "- blocking foreground tab");
+      blockTab(current.tabId, current.siteType, budget.resetsAt, "budget");
+      current = null;
+    }
+  }
+
+  if (current) {
+    const entry = activeTime[current.siteType];
+    if (!entry || now - entry.lastSeen > SESSION_GAP_MS) {
+      activeTime[current.siteType] = { ms: 0, lastSeen: now };
+    }
+  }
+
+  await saveUsage(usage);
+  await chrome.storage.local.set({
+    activeTime,
+    foreground: current ? { siteType: current.siteType, tabId: current.tabId, since: now } : null
+  });
+}
+
+function clearActiveTime(cb) {
+  chrome.storage.local.set({ activeTime: {}, foreground: null }, () => {
+    if (chrome.runtime.lastError) {
+      log("Error clearing active time:", chrome.runtime.lastError);
+    }
+    refreshForeground();
+    if (cb) cb();
+  });
+}
+
+function ensureActiveTickAlarm() {
+  chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+  chrome.alarms.get(ACTIVE_TICK_ALARM, (alarm) => {
+    if (!alarm) {
+      chrome.alarms.create(ACTIVE_TICK_ALARM, { periodInMinutes: 1 });
+    }
+  });
+}
+
+ensureActiveTickAlarm();
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === ACTIVE_TICK_ALARM) {
+    refreshForeground();
+  }
+});
+
+chrome.windows.onFocusChanged.addListener(() => {
+  refreshForeground();
+});
+
+chrome.idle.onStateChanged.addListener((newState) => {
+  log("Idle state changed:", newState);
+  refreshForeground();
+});
+
+chrome.runtime.onInstalled.addListener((details) => {
+  // Initialize defaults on first install
+  chrome.storage.local.get(["settings"], (data) => {
+    if (!data.settings) {
+      chrome.storage.local.set({
+        settings: DEFAULT_SETTINGS,
+        currentCount: DEFAULT_STATE.currentCount,
+        lastSiteType: DEFAULT_STATE.lastSiteType
+      });
+      return;
+    }
+
+    // Updates may ship a newer preset catalog for the categories already added
+    if (details.reason === "update") {
+      const { settings, added } = syncPresetCatalog(data.settings);
+      if (settings !== data.settings) {
+        chrome.storage.local.set({ settings });
+        log("Preset catalog synced, added", added, "sites");
+      }
+    }
+  });
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Only process on URL changes or complete status with a URL
+  if (changeInfo.url || (changeInfo.status === "complete" && tab.url)) {
+    const url = changeInfo.url || tab.url;
+    log("Tab updated:", tabId, url);
+    handleUrl(url, tabId);
+    if (tab.active) {
+      refreshForeground();
+    }
+  }
+});
+
+chrome.tabs.onActivated.addListener((activeInfo) => {
+  refreshForeground();
+  chrome.tabs.get(activeInfo.tabId, (tab) => {
+    if (chrome.runtime.lastError) {
+      log("Error getting tab:", chrome.runtime.lastError);
+      return;
+    }
+    if (tab && tab.url) {
+      log("Tab activated:", activeInfo.tabId, tab.url);
+      handleUrl(tab.url, activeInfo.tabId);
+    }
+  });
+});
+
+// Clean up when tabs are closed
+chrome.tabs.onRemoved.addListener((tabId) => {
+  tabUrls.delete(tabId);
+});
+
+// Handle messages from the alert page for acknowledging alerts
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || !message.type) return;
+
+  if (message.type === "get_license_status") {
+    getLicenseStatus().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === "activate_license") {
+    licenseManager.validateLicenseKey(message.key).then(sendResponse);
+    return true;
+  }
+
+  if (message.type === "deactivate_license") {
+    licenseManager.clearLicense().then(() => {
+      sendResponse({ ok: true });
+    }, (error) => {
+      sendResponse({ ok: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (message.type === "pause_tracking") {
+    getLicenseTier().then(async (tier) => {
+      const denied = requireFeature(tier, "pause");
+      if (denied) {
+        log("Basic tier - skipping pause");
+        sendResponse(denied);
+        return;
+      }
+
+      try {
+        const pause = await pauseTracking(message.duration);
+        sendResponse({ ok: true, pause });
+      } catch (error) {
+        sendResponse({ ok: false, error: error.message });
+      }
+    });
+    return true;
+  }
+
+  if (message.type === "resume_tracking") {
+    resumeTracking().then(() => {
+      sendResponse({ ok: true });
+    });
+    return true;
+  }
+
+  if (message.type === "reset_counter") {
+    // Queued like countVisit so a visit counted meanwhile can't undo the reset
+    runExclusive(async () => {
+      const { state } = await loadStorage();
+      state.currentCount = 0;
+      state.lastSiteType = null;
+      // Also clear the tab URL cache and foreground timers
+      tabUrls.clear();
+      await persistState(state);
+      await new Promise((resolve) => clearActiveTime(resolve));
+    }).then(() => {
+      log("Counter reset");
+      sendResponse({ ok: true });
+    }, (error) => {
+      sendResponse({ ok: false, error: error.message });
+    });
+    return true;
+  }
+
+  if (message.type === "test_alert") {
+    // Manual test to verify alert works
+    log("Manual alert test triggered");
+    triggerAlert();
+    sendResponse({ ok: true });
+    return true;
+  }
+
+  if (message.type === "focus_start") {
+    getLicenseTier().then(async (tier) => {
+      const denied = requireFeature(tier, "focus");
+      if (denied) {
+        log("Basic tier - skipping focus session");
+        sendResponse(denied);
+        return;
+      }
+
+      const session = await startFocusSession(message.options || {});
+      sendResponse({ ok: true, session });
+    });
+    return true;
+  }
+
+  if (message.type === "focus_stop") {
+    stopFocusSession().then(() => {
+      sendResponse({ ok: true });
+    });
+    return true;
+  }
+
+  if (message.type === "alert_acknowledged") {
+    // User said they're getting back to work: clear counters
+    acknowledgeAlert(message.siteId).then(() => {
+      sendResponse({ ok: true });
+    });
+    return true;
+  }
+
+  if (message.type === "import_history") {
+    getLicenseTier().then(async (tier) => {
+      const denied = requireFeature(tier, "backup");
+      if (denied) {
+        log("Basic tier - skipping history import");
+        sendResponse(denied);
+        return;
+      }
+
+      try {
+        await importHistoryDays(message.days || {});
+        sendResponse({ ok: true });
+      } catch (e) {
+        log("Error importing history:", e);
+        sendResponse({ ok: false, error: e.message });
+      }
+    });
+    return true;
+  }
+
+  if (message.type === "gate_passed") {
+    getLicenseTier().then(async (tier) => {
+      const denied = requireFeature(tier, "gate");
+      if (denied) {
+        log("Basic tier - skipping gate session");
+        sendResponse(denied);
+        return;
+      }
+      if (!message.siteId) {
+        sendResponse({ ok: false, error: "No site to open" });
+        return;
+      }
+
+      const session = await startGateSession(message.siteId, message.minutes, message.intention);
+      sendResponse({ ok: true, until: session.until });
+    });
+    return true;
+  }
+
+  if (message.type === "alert_snoozed") {
+    getLicenseTier().then(async (tier) => {
+      const denied = requireFeature(tier, "snooze");
+      if (denied) {
+        log("Basic tier - skipping snooze");
+        sendResponse(denied);
+        return;
+      }
+      if (!message.siteId) {
+        sendResponse({ ok: false, error: "No site to snooze" });
+        return;
+      }
+
+      const until = await snoozeAlert(message.siteId, message.minutes, message.reason);
+      sendResponse({ ok: true, until });
+    });
+    return true;
+  }
+
+  if (message.type === "add_site_pattern") {
+    getLicenseTier().then(async (tier) => {
+      const denied = requireFeature(tier, message.list === "allowlist" ? "allowlist" : "customSites");
+      if (denied) {
+        log("Basic tier - skipping add site pattern");
+        sendResponse(denied);
+        return;
+      }
+
+      sendResponse(await addSitePattern(message.list, message.pattern, message.matchType));
+    });
+    return true;
+  }
+
+  if (message.type === "alert_dismissed") {
+    // User closed the alert without committing to get back to work
+    recordHistoryEvent("dismiss", message.siteId).then(() => {
+      sendResponse({ ok: true });
+    });
+    return true;
+  }
+});
+// Keyboard shortcuts, declared under "commands" in manifest.json and rebound
+// at chrome://extensions/shortcuts. Opening the popup is Chrome's own
+// _execute_action command and needs no handler here.
+function showCommandNotification(message) {
+  chrome.notifications.create(`dgd_command:${Date.now()}`, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+    title: "Don't Get Distracted",
+    message,
+    priority: 0
+  }, () => {
+    if (chrome.runtime.lastError) {
+      log("Error showing command notification:", chrome.runtime.lastError);
+    }
+  });
+}
+
+async function getActiveTabUrl() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  return tab ? tab.url : null;
+}
+
+// Adds a tracked site unless one with the same pattern exists. Resolves to the
+// new site, or null when nothing was added.
+function addTrackedSite(pattern, matchType) {
+  return runExclusive(async () => {
+    const { settings, state } = await loadStorage();
+    const sites = settings.trackedSites || [];
+    if (sites.some((s) => s.pattern === pattern && (s.matchType || "glob") === matchType)) return null;
+
+    const site = { pattern, matchType, enabled: true, timeThreshold: 0, id: `custom_${Date.now()}_${sites.length}` };
+    await persistStorage({ settings: { ...settings, trackedSites: [...sites, site] }, state });
+    log("Tracked site added:", site);
+    return site;
+  });
+}
+
+function addAllowlistEntry(pattern, matchType) {
+  return runExclusive(async () => {
+    const { settings, state } = await loadStorage();
+    const allowlist = settings.allowlist || [];
+    if (allowlist.some((e) => e.pattern === pattern && (e.matchType || "glob") === matchType)) return null;
+
+    const entry = { pattern, matchType, enabled: true, id: `allow_${Date.now()}_${allowlist.length}` };
+    await persistStorage({ settings: { ...settings, allowlist: [...allowlist, entry] }, state });
+    log("Allowlist entry added:", entry);
+    return entry;
+  });
+}
+
+async function trackCurrentSite() {
+  const url = parseWebUrl(await getActiveTabUrl());
+  if (!url) {
+    showCommandNotification("Only web pages can be tracked.");
+    return;
+  }
+
+  const { settings } = await loadStorage();
+  if (getSiteType(url.href, settings.trackedSites || [])) {
+    showCommandNotification(`${url.hostname} is already tracked.`);
+    return;
+  }
+
+  const host = normalizeHost(url.hostname);
+  await addTrackedSite(host, "host");
+  showCommandNotification(`Now tracking ${host}. Fine-tune it in Settings.`);
+}
+
+async function allowlistCurrentSite() {
+  const url = parseWebUrl(await getActiveTabUrl());
+  if (!url) {
+    showCommandNotification("Only web pages can be allowlisted.");
+    return;
+  }
+
+  const { settings } = await loadStorage();
+  if (isAllowlisted(url.href, settings.allowlist)) {
+    showCommandNotification(`${url.hostname} is already allowlisted.`);
+    return;
+  }
+
+  const host = normalizeHost(url.hostname);
+  await addAllowlistEntry(host, "host");
+  showCommandNotification(`${host} is allowlisted and won't be counted.`);
+}
+
+async function togglePauseFromCommand() {
+  if (await getTrackingPause()) {
+    await resumeTracking();
+    showCommandNotification("Tracking resumed.");
+    return;
+  }
+
+  await pauseTracking("indefinite");
+  showCommandNotification("Tracking paused until you resume it.");
+}
+
+async function startFocusFromCommand() {
+  if (await getFocusSession()) {
+    showCommandNotification("A focus session is already running.");
+    return;
+  }
+
+  const session = await startFocusSession();
+  showCommandNotification(`Focus session started: ${session.workMinutes} minutes of work.`);
+}
+
+async function openStatsFromCommand() {
+  await chrome.tabs.create({ url: chrome.runtime.getURL("stats.html") });
+}
+
+// Each command names the feature it needs (see src/utils/features.js)
+const COMMAND_HANDLERS = {
+  "toggle-pause": { feature: "pause", run: togglePauseFromCommand },
+  "start-focus": { feature: "focus", run: startFocusFromCommand },
+  "track-current-site": { feature: "customSites", run: trackCurrentSite },
+  "allowlist-current-site": { feature: "allowlist", run: allowlistCurrentSite },
+  "open-stats": { feature: "stats", run: openStatsFromCommand }
+};
+
+chrome.commands.onCommand.addListener(async (command) => {
+  const handler = COMMAND_HANDLERS[command];
+  if (!handler) return;
+
+  if (!hasFeature(await getLicenseTier(), handler.feature)) {
+    log("Basic tier - skipping command", command);
+    showCommandNotification("This shortcut is a premium feature. Activate your license to use it.");
+    return;
+  }
+
+  try {
+    await handler.run();
+  } catch (e) {
+    log("Error running command", command, e);
+  }
+});
+
+// Adds a suggested pattern to the tracked sites or the allowlist. Resolves to
+// { ok, added } or { ok: false, error } for an invalid pattern.
+async function addSitePattern(list, pattern, matchType) {
+  const errors = validateSitePatterns({ pattern, matchType });
+  if (errors.length > 0) {
+    return { ok: false, error: errors[0] };
+  }
+
+  const added = list === "allowlist"
+    ? await addAllowlistEntry(pattern, matchType)
+    : await addTrackedSite(pattern, matchType);
+  return { ok: true, added: !!added };
+}
+
+// Context menus: "Track this site" and "Allowlist this site", each with one
+// item per scope. Menu titles can't depend on the page, so the pattern for the
+// chosen scope is worked out from the page when the item is clicked.
+const CONTEXT_MENU_LISTS = {
+  track: { list: "tracked", title: "Track this site", verb: "Now tracking" },
+  allow: { list: "allowlist", title: "Allowlist this site", verb: "Allowlisted" }
+};
+const CONTEXT_MENU_SCOPES = [
+  { scope: "page", title: "Just this page" },
+  { scope: "path", title: "Pages under this path" },
+  { scope: "host", title: "This whole host" },
+  { scope: "subdomains", title: "This domain and all subdomains" }
+];
+
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    for (const [menuId, menu] of Object.entries(CONTEXT_MENU_LISTS)) {
+      chrome.contextMenus.create({
+        id: `dgd_${menuId}`,
+        title: menu.title,
+        contexts: ["page"],
+        documentUrlPatterns: ["http://*/*", "https://*/*"]
+      });
+      for (const { scope, title } of CONTEXT_MENU_SCOPES) {
+        chrome.contextMenus.create({ id: `dgd_${menuId}:${scope}`, parentId: `dgd_${menuId}`, title, contexts: ["page"] });
+      }
+    }
+  });
+}
+
+// Menus persist across restarts, so they only need creating on install/update
+chrome.runtime.onInstalled.addListener(() => {
+  createContextMenus();
+});
+
+chrome.contextMenus.onClicked.addListener(async (info) => {
+  const [menuId, scope] = String(info.menuItemId).replace(/^dgd_/, "").split(":");
+  const menu = CONTEXT_MENU_LISTS[menuId];
+  if (!menu || !scope) return;
+
+  if (!hasFeature(await getLicenseTier(), menu.list === "allowlist" ? "allowlist" : "customSites")) {
+    log("Basic tier - skipping context menu", info.menuItemId);
+    showCommandNotification("Adding sites is a premium feature. Activate your license to use it.");
+    return;
+  }
+
+  const suggestion = suggestPatterns(info.pageUrl).find((s) => s.scope === scope);
+  if (!suggestion) {
+    showCommandNotification("This page has no path to match; pick a wider option.");
+    return;
+  }
+
+  const result = await addSitePattern(menu.list, suggestion.pattern, suggestion.matchType);
+  if (!result.ok) {
+    showCommandNotification(result.error);
+  } else if (!result.added) {
+    showCommandNotification(`${suggestion.pattern} is already in your list.`);
+  } else {
+    showCommandNotification(`${menu.verb} ${suggestion.pattern}.`);
+  }
+});
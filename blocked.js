@@ -0,0 +1,75 @@
+// blocked.js - Shown in place of a tracked site while it is hard-blocked
+
+function applyTheme(darkMode) {
+  document.body.classList.toggle("dark", !!darkMode);
+}
+
+function formatResetTime(until) {
+  const date = new Date(until);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  const time = date.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+  return sameDay
+    ? `today at ${time}`
+    : `${date.toLocaleDateString([], { weekday: "long" })} at ${time}`;
+}
+
+const BLOCK_REASONS = {
+  budget: {
+    title: "Budget used up",
+    message: (pattern) => `You've used up your allowance for ${pattern}.`
+  },
+  strict: {
+    title: "Cooldown active",
+    message: (pattern) => `Strict mode is blocking ${pattern} for a while. Take a breath.`
+  },
+  escalation: {
+    title: "Too many alerts today",
+    message: (pattern) => `You've been warned enough times today, so ${pattern} is blocked for a while.`
+  }
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  const params = new URLSearchParams(window.location.search);
+  const siteId = params.get("site");
+  const until = parseInt(params.get("until"), 10);
+  const reason = BLOCK_REASONS[params.get("reason")] || BLOCK_REASONS.budget;
+
+  const titleEl = document.getElementById("blocked-title");
+  if (titleEl) {
+    titleEl.textContent = reason.title;
+  }
+
+  chrome.storage.local.get(["settings"], (data) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error loading settings:", chrome.runtime.lastError);
+      return;
+    }
+
+    const settings = data.settings || {};
+    applyTheme(settings.darkMode);
+
+    const site = (settings.trackedSites || []).find((s) => s.id === siteId);
+    const messageEl = document.getElementById("blocked-message");
+    if (messageEl && site) {
+      messageEl.textContent = reason.message(site.pattern);
+    }
+  });
+
+  const untilEl = document.getElementById("blocked-until");
+  if (untilEl && until) {
+    untilEl.textContent = `It unlocks ${formatResetTime(until)}.`;
+  }
+
+  const closeBtn = document.getElementById("close-blocked");
+  if (closeBtn) {
+    closeBtn.addEventListener("click", () => {
+      chrome.tabs.getCurrent((tab) => {
+        if (tab) {
+          chrome.tabs.remove(tab.id);
+        } else {
+          window.close();
+        }
+      });
+    });
+  }
+});
@@ -0,0 +1,107 @@
+// gate.js - Mindful gate shown before a tracked site's first visit in a session
+
+function applyTheme(darkMode) {
+  document.body.classList.toggle("dark", !!darkMode);
+}
+
+const DEFAULT_GATE_DELAY_SECONDS = 5;
+
+// Only send the tab on to the web page it came from, never anywhere else
+function getReturnUrl(params) {
+  try {
+    const url = new URL(params.get("url"));
+    return url.protocol === "http:" || url.protocol === "https:" ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function getSiteName(site) {
+  if (!site) return "this site";
+  // Show the host part of the pattern, e.g. "tiktok.com" for "tiktok.com/*"
+  return site.pattern.replace(/^[a-z]+:\/\//i, "").split(/[/*?#]/).find(Boolean) || site.pattern;
+}
+
+function startDelay(seconds) {
+  const hintEl = document.getElementById("gate-hint");
+  const buttons = document.querySelectorAll(".gate-budget-btn");
+  let remaining = seconds;
+
+  function update() {
+    if (remaining > 0) {
+      hintEl.textContent = `Take a breath first… ${remaining}s`;
+      return;
+    }
+    clearInterval(timer);
+    hintEl.textContent = "How long do you need?";
+    buttons.forEach((btn) => {
+      btn.disabled = false;
+    });
+  }
+
+  const timer = setInterval(() => {
+    remaining -= 1;
+    update();
+  }, 1000);
+  update();
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const params = new URLSearchParams(window.location.search);
+  const siteId = params.get("site");
+  const returnUrl = getReturnUrl(params);
+
+  chrome.storage.local.get(["settings"], (data) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error loading settings:", chrome.runtime.lastError);
+      return;
+    }
+
+    const settings = data.settings || {};
+    applyTheme(settings.darkMode);
+
+    const site = (settings.trackedSites || []).find((s) => s.id === siteId);
+    const titleEl = document.getElementById("gate-title");
+    if (titleEl) {
+      titleEl.textContent = `Why are you opening ${getSiteName(site)}?`;
+    }
+
+    const gate = settings.gate || {};
+    const delay = Number.isFinite(gate.delaySeconds) ? Math.max(0, gate.delaySeconds) : DEFAULT_GATE_DELAY_SECONDS;
+    startDelay(delay);
+  });
+
+  document.querySelectorAll(".gate-budget-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const intentionEl = document.getElementById("gate-intention");
+      const message = {
+        type: "gate_passed",
+        siteId,
+        minutes: parseInt(btn.dataset.minutes, 10),
+        intention: intentionEl ? intentionEl.value.trim() : ""
+      };
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError || !response || !response.ok) {
+          console.error("Error starting gate session:", chrome.runtime.lastError || response);
+          return;
+        }
+        if (returnUrl) {
+          window.location.replace(returnUrl);
+        }
+      });
+    });
+  });
+
+  const leaveBtn = document.getElementById("gate-leave");
+  if (leaveBtn) {
+    leaveBtn.addEventListener("click", () => {
+      chrome.tabs.getCurrent((tab) => {
+        if (tab) {
+          chrome.tabs.remove(tab.id);
+        } else {
+          window.close();
+        }
+      });
+    });
+  }
+});
@@ -1,13 +1,14 @@
-// popup.js - Fixed version with proper null checks and single licenseManager
+// popup.js - Popup dashboard, quick actions and license activation
 
-// Initialize LicenseManager once
-const licenseManager = new LicenseManager();
+import { licenseClient } from './src/utils/licenseClient.js';
+import { isWithinSchedule, getNextScheduleStart } from './src/utils/schedule.js';
+import { HISTORY_KEY_PREFIX, loadHistory } from './src/utils/history.js';
+import { suggestPatterns } from './src/utils/matchers.js';
+import { TIERS, getTier, hasFeature, applyTierLimits } from './src/utils/features.js';
 
 // Wait for DOM to be ready
 document.addEventListener('DOMContentLoaded', async () => {
   // License activation elements
-  const validView = document.getElementById('valid-view');
-  const invalidView = document.getElementById('invalid-view');
   const maskedLicenseKey = document.getElementById('masked-license-key');
   const licenseKeyInput = document.getElementById('license-key-input');
   const activateBtn = document.getElementById('activate-btn');
@@ -20,17 +21,45 @@ document.addEventListener('DOMContentLoaded', async () => {
   const viewSettingsBtn = document.getElementById('view-settings');
   const resetBtn = document.getElementById('reset-btn');
 
-  // Helper functions
+  // The dashboard is shared; only the parts marked data-view follow the license
   function showView(viewId) {
-    if (validView && invalidView) {
-      validView.classList.add('hidden');
-      invalidView.classList.add('hidden');
-      
-      if (viewId === 'valid') {
-        validView.classList.remove('hidden');
-      } else if (viewId === 'invalid') {
-        invalidView.classList.remove('hidden');
-      }
+    document.querySelectorAll('[data-view]').forEach((el) => {
+      el.classList.toggle('hidden', el.dataset.view !== viewId);
+    });
+  }
+
+  // Basic until the background says otherwise
+  let tier = TIERS.BASIC;
+
+  // Disables the controls marked with a data-feature the tier lacks, like the
+  // settings page does for its cards
+  function applyFeatureLocks() {
+    document.querySelectorAll('[data-feature]').forEach((el) => {
+      const locked = !hasFeature(tier, el.dataset.feature);
+      el.classList.toggle('locked', locked);
+      el.title = locked ? 'Premium feature: activate a license to use it' : '';
+      const controls = el.matches('button, input') ? [el] : el.querySelectorAll('button, input');
+      controls.forEach((control) => {
+        if (locked && !control.disabled) {
+          control.disabled = true;
+          control.dataset.tierLocked = 'true';
+        } else if (!locked && control.dataset.tierLocked) {
+          control.disabled = false;
+          delete control.dataset.tierLocked;
+        }
+      });
+    });
+
+    const quickAddPanel = document.getElementById('quick-add');
+    if (quickAddPanel && !hasFeature(tier, 'customSites')) {
+      quickAddPanel.classList.add('hidden');
+    }
+  }
+
+  function showActionStatus(text) {
+    const statusEl = document.getElementById('action-status');
+    if (statusEl) {
+      statusEl.textContent = text;
     }
   }
 
@@ -79,8 +108,33 @@ document.addEventListener('DOMContentLoaded', async () => {
     return `${current} of ${threshold}`;
   }
 
+  function findGroup(settings, id) {
+    return (settings?.groups || []).find((g) => g.id === id) || null;
+  }
+
+  function findSite(settings, id) {
+    return (settings?.trackedSites || []).find((s) => s.id === id) || null;
+  }
+
+  // Names a site id or group id the way the settings page shows it
+  function getLabel(settings, id) {
+    const group = findGroup(settings, id);
+    if (group) return group.name;
+    const site = findSite(settings, id);
+    if (site) return site.pattern;
+    return id ? id.replace('_', ' ') : '';
+  }
+
+  // Mirrors the background: site threshold, then group threshold, then global
+  function getStreakThreshold(settings, streakKey) {
+    const group = findGroup(settings, streakKey);
+    const site = group ? null : findSite(settings, streakKey);
+    const siteGroup = site ? findGroup(settings, site.groupId) : group;
+    return (site && site.threshold) || (siteGroup && siteGroup.threshold) || settings?.threshold || 10;
+  }
+
   function updateDisplay(settings, currentCount, lastSiteType) {
-    const threshold = settings?.threshold || 10;
+    const threshold = getStreakThreshold(settings, lastSiteType);
 
     // Update count display
     const countEl = document.getElementById('current-count');
@@ -94,50 +148,263 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (progressEl && percentageEl) {
       const percent = Math.min(100, ((currentCount || 0) / threshold) * 100);
       progressEl.style.width = `${percent}%`;
+      progressEl.classList.toggle('warning', percent >= 70 && percent < 100);
+      progressEl.classList.toggle('danger', percent >= 100);
       percentageEl.textContent = `${Math.round(percent)}% (${currentCount || 0}/${threshold})`;
     }
 
-    // Update current site type
+    // Update current site type (grouped sites share a streak under the group's name)
     const siteEl = document.getElementById('current-site');
     if (siteEl) {
-      siteEl.textContent = lastSiteType 
-        ? `Tracking: ${lastSiteType.replace('_', ' ')}` 
+      const label = getLabel(settings, lastSiteType);
+      siteEl.textContent = label 
+        ? `Tracking: ${label}` 
         : 'Not tracking';
     }
   }
 
+  function updateTrackingStatus(settings, pause) {
+    const statusEl = document.getElementById('tracking-status');
+    if (!statusEl) return;
+
+    const now = new Date();
+    if (pause) {
+      const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+      statusEl.textContent = pause.until
+        ? `⏸ Tracking paused until ${new Date(pause.until).toDateString() === now.toDateString() ? formatTime(pause.until) : 'tomorrow'}`
+        : `⏸ Tracking paused since ${formatTime(pause.since)}`;
+      statusEl.className = 'tracking-status off-hours';
+      return;
+    }
+
+    if (isWithinSchedule(settings?.schedule, now)) {
+      statusEl.textContent = settings?.schedule?.enabled ? '🟢 Tracking is live (within your schedule)' : '🟢 Tracking is live';
+      statusEl.className = 'tracking-status live';
+      return;
+    }
+
+    const nextStart = getNextScheduleStart(settings.schedule, now);
+    const resumes = nextStart
+      ? ` — resumes ${nextStart.toLocaleDateString([], { weekday: 'short' })} ${nextStart.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+      : '';
+    statusEl.textContent = `⏸ Outside tracking hours${resumes}`;
+    statusEl.className = 'tracking-status off-hours';
+  }
+
+  // A timed pause is over once its end passes, even before the background clears it
+  function getActivePause(pause) {
+    return pause && (!pause.until || pause.until > Date.now()) ? pause : null;
+  }
+
+  function updatePauseControls(pause) {
+    const optionsEl = document.getElementById('pause-options');
+    const resumeBtn = document.getElementById('resume-btn');
+    if (!optionsEl || !resumeBtn) return;
+    optionsEl.classList.toggle('hidden', !!pause);
+    resumeBtn.classList.toggle('hidden', !pause);
+  }
+
+  function renderList(listEl, rows, emptyText) {
+    listEl.replaceChildren();
+    if (rows.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'empty';
+      li.textContent = emptyText;
+      listEl.appendChild(li);
+      return;
+    }
+
+    for (const row of rows) {
+      const li = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = row.name;
+      const value = document.createElement('span');
+      value.textContent = row.value;
+      if (row.exhausted) value.className = 'exhausted';
+      li.append(name, value);
+      listEl.appendChild(li);
+    }
+  }
+
+  // Groups with a budget replace their members' budgets, so those members are skipped
+  function getBudgetOwners(settings) {
+    const groups = (settings?.groups || []).filter((g) => g.budget);
+    const budgetGroupIds = groups.map((g) => g.id);
+    const sites = (settings?.trackedSites || [])
+      .filter((s) => s.enabled && s.budget && !budgetGroupIds.includes(s.groupId));
+    return [...groups, ...sites];
+  }
+
+  function updateBudgets(settings, usage) {
+    const listEl = document.getElementById('budget-list');
+    if (!listEl) return;
+
+    const now = Date.now();
+    const rows = [];
+    for (const owner of getBudgetOwners(settings)) {
+      const visitLimit = Number(owner.budget.visits) || 0;
+      const minuteLimit = Number(owner.budget.minutes) || 0;
+      if (!visitLimit && !minuteLimit) continue;
+
+      // A bucket past its end hasn't been rolled over yet, so the budget is full again
+      const bucket = usage && usage[owner.budget.period];
+      const used = (bucket && bucket.end > now && bucket.sites[owner.id]) || { visits: 0, ms: 0 };
+      const parts = [];
+      let exhausted = false;
+      if (visitLimit) {
+        const left = Math.max(0, visitLimit - used.visits);
+        exhausted = exhausted || left === 0;
+        parts.push(`${left} visit${left === 1 ? '' : 's'}`);
+      }
+      if (minuteLimit) {
+        const left = Math.max(0, Math.floor(minuteLimit - used.ms / 60000));
+        exhausted = exhausted || left === 0;
+        parts.push(`${left} min`);
+      }
+
+      rows.push({
+        name: owner.name || owner.pattern,
+        value: `${parts.join(', ')} left this ${owner.budget.period}`,
+        exhausted,
+      });
+    }
+
+    renderList(listEl, rows, 'No budgets set');
+  }
+
+  async function loadTodayTotals() {
+    const listEl = document.getElementById('today-totals');
+    if (!listEl) return;
+
+    try {
+      const today = new Date();
+      const [{ settings: storedSettings }, events] = await Promise.all([
+        chrome.storage.local.get('settings'),
+        loadHistory(today, today),
+      ]);
+      const settings = applyTierLimits(storedSettings || {}, tier);
+
+      const totals = new Map();
+      for (const event of events) {
+        if (event.type !== 'visit') continue;
+        totals.set(event.site, (totals.get(event.site) || 0) + 1);
+      }
+
+      const rows = [...totals.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([siteId, visits]) => ({
+          name: getLabel(settings, siteId),
+          value: `${visits} visit${visits === 1 ? '' : 's'}`,
+        }));
+      renderList(listEl, rows, 'No visits yet today');
+    } catch (error) {
+      console.error('Error loading today\'s totals:', error);
+    }
+  }
+
+  function formatTimeLeft(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  function updateFocusDisplay(settings, session) {
+    const statusEl = document.getElementById('focus-status');
+    const configEl = document.getElementById('focus-config');
+    const startBtn = document.getElementById('focus-start-btn');
+    const stopBtn = document.getElementById('focus-stop-btn');
+    if (!statusEl || !configEl || !startBtn || !stopBtn) return;
+
+    if (session) {
+      const phaseLabel = session.phase === 'work' ? '🎯 Focus' : '☕ Break';
+      const cycleLabel = session.cycles ? ` (${session.cycle}/${session.cycles})` : '';
+      statusEl.textContent = `${phaseLabel}${cycleLabel}: ${formatTimeLeft(session.phaseEndsAt - Date.now())} left`;
+      configEl.classList.add('hidden');
+      startBtn.classList.add('hidden');
+      stopBtn.classList.remove('hidden');
+    } else {
+      statusEl.textContent = 'No focus session running';
+      configEl.classList.remove('hidden');
+      startBtn.classList.remove('hidden');
+      stopBtn.classList.add('hidden');
+    }
+
+    // Prefill durations from settings without overwriting what the user is typing
+    const workInput = document.getElementById('focus-work');
+    const breakInput = document.getElementById('focus-break');
+    const focus = settings?.focus;
+    if (focus && workInput && breakInput && !workInput.dataset.touched && !breakInput.dataset.touched) {
+      workInput.value = focus.workMinutes;
+      breakInput.value = focus.breakMinutes;
+    }
+  }
+
+  const DASHBOARD_KEYS = ['settings', 'currentCount', 'lastSiteType', 'focusSession', 'usage', 'trackingPause'];
+
+  function updateDashboard(settings, data) {
+    updateDisplay(settings, data.currentCount, data.lastSiteType);
+    const pause = getActivePause(data.trackingPause);
+    updateTrackingStatus(settings, pause);
+    updatePauseControls(pause);
+    updateBudgets(settings, data.usage);
+    updateFocusDisplay(settings, data.focusSession);
+  }
+
   function loadSettings() {
-    chrome.storage.local.get(['settings', 'currentCount', 'lastSiteType'], (data) => {
+    chrome.storage.local.get(DASHBOARD_KEYS, (data) => {
       if (chrome.runtime.lastError) {
         console.error('Error loading settings:', chrome.runtime.lastError);
         return;
       }
-      const settings = data.settings || {};
+      const settings = applyTierLimits(data.settings || {}, tier);
       applyTheme(settings.darkMode);
-      updateDisplay(settings, data.currentCount, data.lastSiteType);
+      updateDashboard(settings, data);
     });
   }
 
-  // Initialize license check
+  // Set while an activation is in flight, so its success message can show
+  // before the status broadcast switches views
+  let activating = false;
+
+  function applyLicenseStatus(status) {
+    if (status && status.valid && status.key) {
+      showView('valid');
+      if (maskedLicenseKey) {
+        maskedLicenseKey.textContent = maskLicenseKey(status.key);
+      }
+    } else {
+      showView('invalid');
+    }
+  }
+
+  // The dashboard follows the tier right away, even mid-activation
+  function applyTier(status) {
+    tier = getTier(!!(status && status.valid));
+    applyFeatureLocks();
+    loadSettings();
+    loadTodayTotals();
+  }
+
+  // Initialize license check; the background owns the license and answers
   async function initLicense() {
     try {
-      const hasValid = await licenseManager.hasValidLicense();
-      const storedLicense = await licenseManager.getStoredLicense();
-      
-      if (hasValid && storedLicense) {
-        showView('valid');
-        if (maskedLicenseKey) {
-          maskedLicenseKey.textContent = maskLicenseKey(storedLicense.key);
-        }
-      } else {
-        showView('invalid');
-      }
+      const status = await licenseClient.getStatus();
+      applyTier(status);
+      applyLicenseStatus(status);
     } catch (error) {
       console.error('License initialization error:', error);
+      applyTier(null);
       showView('invalid');
     }
   }
 
+  licenseClient.onChange((status) => {
+    applyTier(status);
+    if (!activating) applyLicenseStatus(status);
+  });
+
   // Event Listeners - License Activation
   if (activateBtn) {
     activateBtn.addEventListener('click', async () => {
@@ -150,9 +417,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       
       showSpinner();
       hideMessage();
+      activating = true;
       
       try {
-        const result = await licenseManager.validateLicenseKey(licenseKey);
+        const result = await licenseClient.activate(licenseKey);
         
         if (result.valid) {
           showMessage('License activated successfully!', 'success');
@@ -160,12 +428,15 @@ document.addEventListener('DOMContentLoaded', async () => {
             maskedLicenseKey.textContent = maskLicenseKey(licenseKey);
           }
           setTimeout(() => {
+            activating = false;
             showView('valid');
           }, 1500);
         } else {
+          activating = false;
           showMessage(result.message || 'Invalid license key', 'error');
         }
       } catch (error) {
+        activating = false;
         console.error('Activation error:', error);
         showMessage('An error occurred during activation', 'error');
       } finally {
@@ -184,7 +455,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       try {
         // 1. Clear local license state only
-        await licenseManager.clearLicense();
+        const response = await licenseClient.deactivate();
+        if (!response || !response.ok) {
+          throw new Error(response ? response.error : 'No response');
+        }
 
         // 2. Reset UI to license key entry state
         showView('invalid');
@@ -214,6 +488,14 @@ if (settingsBtn) {
     chrome.tabs.create({ url: chrome.runtime.getURL('settings.html') });
   });
 }
+  // Statistics Button — Opens stats.html
+  const statsBtn = document.getElementById('stats-btn');
+  if (statsBtn) {
+    statsBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('stats.html') });
+    });
+  }
+
   // ✅ Reset License on Whop button
   if (resetBtn) {
     resetBtn.addEventListener('click', () => {
@@ -231,34 +513,191 @@ if (settingsBtn) {
     });
   }
 
-  if (resetBtn) {
-    resetBtn.addEventListener('click', () => {
+  const resetCounterBtn = document.getElementById('reset-counter-btn');
+  if (resetCounterBtn) {
+    resetCounterBtn.addEventListener('click', () => {
       chrome.runtime.sendMessage({ type: 'reset_counter' }, (response) => {
-        if (chrome.runtime.lastError) {
-          console.error('Error resetting counter:', chrome.runtime.lastError);
+        if (chrome.runtime.lastError || (response && !response.ok)) {
+          console.error('Error resetting counter:', chrome.runtime.lastError || response.error);
+          showActionStatus('Could not reset the counter.');
+          return;
         }
+        showActionStatus('');
       });
     });
   }
 
+  // Pause controls
+  function sendPauseMessage(message) {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Error changing tracking pause:', chrome.runtime.lastError);
+        return;
+      }
+      if (response && !response.ok) {
+        console.error('Tracking pause not changed:', response.error);
+        showActionStatus(response.error);
+      } else {
+        showActionStatus('');
+      }
+      loadSettings();
+    });
+  }
+
+  document.querySelectorAll('.pause-option').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      sendPauseMessage({ type: 'pause_tracking', duration: btn.dataset.duration });
+    });
+  });
+
+  const resumeBtn = document.getElementById('resume-btn');
+  if (resumeBtn) {
+    resumeBtn.addEventListener('click', () => {
+      sendPauseMessage({ type: 'resume_tracking' });
+    });
+  }
+
+
+
+  // Quick-add: proposes patterns for the active tab, from this page up to the whole domain
+  const quickAddBtn = document.getElementById('quick-add-btn');
+  const quickAddPanel = document.getElementById('quick-add');
+  const quickAddOptions = document.getElementById('quick-add-options');
+  const quickAddStatus = document.getElementById('quick-add-status');
+
+  async function openQuickAdd() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const suggestions = suggestPatterns(tab && tab.url);
+
+    quickAddOptions.replaceChildren();
+    quickAddStatus.textContent = '';
+    if (suggestions.length === 0) {
+      quickAddStatus.textContent = 'Open a web page to track it.';
+    }
+    suggestions.forEach((suggestion) => {
+      const label = document.createElement('label');
+      label.className = 'quick-add-option';
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'quick-add-scope';
+      radio.value = suggestion.scope;
+      radio.checked = suggestion.scope === 'host';
+      radio.dataset.pattern = suggestion.pattern;
+      radio.dataset.matchType = suggestion.matchType;
+      const text = document.createElement('span');
+      text.textContent = suggestion.label;
+      const pattern = document.createElement('span');
+      pattern.className = 'quick-add-pattern';
+      pattern.textContent = suggestion.pattern;
+      text.appendChild(pattern);
+      label.append(radio, text);
+      quickAddOptions.appendChild(label);
+    });
+
+    document.getElementById('quick-add-track').disabled = suggestions.length === 0;
+    document.getElementById('quick-add-allow').disabled = suggestions.length === 0;
+    quickAddPanel.classList.remove('hidden');
+  }
 
+  function addQuickPattern(list) {
+    const selected = quickAddOptions.querySelector('input[name="quick-add-scope"]:checked');
+    if (!selected) return;
+
+    const { pattern, matchType } = selected.dataset;
+    chrome.runtime.sendMessage({ type: 'add_site_pattern', list, pattern, matchType }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.error('Error adding site pattern:', chrome.runtime.lastError);
+        quickAddStatus.textContent = 'Something went wrong. Try again.';
+        return;
+      }
+      if (!response || !response.ok) {
+        quickAddStatus.textContent = (response && response.error) || 'Could not add this pattern.';
+      } else if (!response.added) {
+        quickAddStatus.textContent = `${pattern} is already in your list.`;
+      } else {
+        quickAddStatus.textContent = list === 'allowlist' ? `${pattern} won't be counted.` : `Now tracking ${pattern}.`;
+      }
+    });
+  }
+
+  if (quickAddBtn && quickAddPanel) {
+    quickAddBtn.addEventListener('click', () => {
+      if (!quickAddPanel.classList.contains('hidden')) {
+        quickAddPanel.classList.add('hidden');
+        return;
+      }
+      openQuickAdd().catch((error) => {
+        console.error('Error reading the active tab:', error);
+      });
+    });
+    document.getElementById('quick-add-track').addEventListener('click', () => addQuickPattern('tracked'));
+    document.getElementById('quick-add-allow').addEventListener('click', () => addQuickPattern('allowlist'));
+  }
+
+  // Focus session controls
+  const focusStartBtn = document.getElementById('focus-start-btn');
+  const focusStopBtn = document.getElementById('focus-stop-btn');
+
+  ['focus-work', 'focus-break'].forEach((id) => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.addEventListener('input', () => {
+        input.dataset.touched = 'true';
+      });
+    }
+  });
+
+  if (focusStartBtn) {
+    focusStartBtn.addEventListener('click', () => {
+      const workMinutes = parseInt(document.getElementById('focus-work')?.value, 10);
+      const breakMinutes = parseInt(document.getElementById('focus-break')?.value, 10);
+      chrome.runtime.sendMessage({ type: 'focus_start', options: { workMinutes, breakMinutes } }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.error('Error starting focus session:', chrome.runtime.lastError);
+          return;
+        }
+        if (response && !response.ok) {
+          console.error('Focus session not started:', response.error);
+          showActionStatus(response.error);
+        } else {
+          showActionStatus('');
+        }
+        loadSettings();
+      });
+    });
+  }
+
+  if (focusStopBtn) {
+    focusStopBtn.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ type: 'focus_stop' }, () => {
+        if (chrome.runtime.lastError) {
+          console.error('Error stopping focus session:', chrome.runtime.lastError);
+          return;
+        }
+        loadSettings();
+      });
+    });
+  }
 
   // Initialize everything
   await initLicense();
-  loadSettings();
 
   // Listen for storage changes to update display in real-time
   chrome.storage.onChanged.addListener((changes, areaName) => {
     if (areaName !== 'local') return;
 
-    chrome.storage.local.get(['settings', 'currentCount', 'lastSiteType'], (data) => {
+    if (changes.settings || Object.keys(changes).some((key) => key.startsWith(HISTORY_KEY_PREFIX))) {
+      loadTodayTotals();
+    }
+
+    chrome.storage.local.get(DASHBOARD_KEYS, (data) => {
       if (chrome.runtime.lastError) return;
-      const settings = data.settings || {};
+      const settings = applyTierLimits(data.settings || {}, tier);
       
       if (changes.settings) {
         applyTheme(settings.darkMode);
       }
-      updateDisplay(settings, data.currentCount, data.lastSiteType);
+      updateDashboard(settings, data);
     });
   });
 
@@ -1,253 +1,71 @@
 // settings.js - Settings page logic with dark mode support and license validation
 
-// Import LicenseManager class
-// In a real extension, you'd need to properly import or include the LicenseManager
-// For this example, we'll define it in the same file or assume it's available globally
-
-// Define the LicenseManager class in the settings context
-class LicenseManager {
-  constructor() {
-    this.API_BASE_URL = 'https://licensecheckerwhop.abhishek1317.workers.dev';
-    this.CACHE_DURATION = 60 * 60 * 1000; // 1 hour in milliseconds
-    this.OFFLINE_GRACE_PERIOD = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
-  }
-
-  async generateHWID() {
-    // Collect various browser fingerprinting parameters
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    if (ctx) {
-      ctx.textBaseline = 'top';
-      ctx.font = '14px Arial';
-      ctx.fillText('LicenseCheck', 2, 2);
-    }
-    
-    const fingerprintData = {
-      userAgent: navigator.userAgent,
-      language: navigator.language,
-      platform: navigator.platform,
-      hardwareConcurrency: navigator.hardwareConcurrency,
-      screenResolution: `${screen.width}x${screen.height}`,
-      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-      canvas: canvas ? canvas.toDataURL() : '',
-      webgl: this.getWebGLFingerprint(),
-    };
-
-    // Create a hash of the fingerprint data
-    const fingerprintString = JSON.stringify(fingerprintData);
-    return this.sha256(fingerprintString);
-  }
-
-  getWebGLFingerprint() {
-    try {
-      const canvas = document.createElement('canvas');
-      const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-      
-      if (!gl) return 'no-webgl';
-      
-      const renderer = gl.getParameter(gl.RENDERER);
-      const vendor = gl.getParameter(gl.VENDOR);
-      
-      return `${renderer}-${vendor}`;
-    } catch (e) {
-      return 'webgl-error';
-    }
-  }
-
-  async sha256(message) {
-    // Simple SHA-256 implementation using crypto.subtle
-    const msgBuffer = new TextEncoder().encode(message);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  }
-
-  async validateLicenseKey(key) {
-    try {
-      const hwid = await this.generateHWID();
-      
-      const response = await fetch(`${this.API_BASE_URL}/api/validate-license`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ licenseKey: key, hwid }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      // Store the license data in chrome.storage.local
-      const licenseData = {
-        key,
-        valid: data.valid,
-        expiresAt: data.expiresAt,
-        validatedAt: Date.now(),
-        hwid,
-      };
-      
-      await this.setStoredLicense(licenseData);
-      
-      return {
-        valid: data.valid,
-        message: data.message,
-        expiresAt: data.expiresAt,
-      };
-    } catch (error) {
-      console.error('License validation error:', error);
-      
-      // Check if there's a stored license that's still within the grace period
-      const storedLicense = await this.getStoredLicense();
-      if (storedLicense && this.isWithinGracePeriod(storedLicense)) {
-        return {
-          valid: storedLicense.valid,
-          message: storedLicense.valid ? 'Using cached license data (offline)' : 'Using cached invalid license data (offline)',
-          expiresAt: storedLicense.expiresAt,
-        };
-      }
-      
-      return {
-        valid: false,
-        message: 'License validation failed and no cached data available',
-      };
-    }
-  }
-
-  async hasValidLicense() {
-    const licenseData = await this.getStoredLicense();
-    
-    if (!licenseData) {
-      return false;
-    }
-
-    // Check if license is still valid
-    if (!licenseData.valid) {
-      return false;
-    }
-
-    // Check if license has expired
-    if (licenseData.expiresAt) {
-      const now = new Date();
-      const expiryDate = new Date(licenseData.expiresAt);
-      if (now > expiryDate) {
-        return false;
-      }
-    }
-
-    // Check if cache is still valid (revalidate if needed)
-    if (this.isCacheExpired(licenseData)) {
-      // Try to revalidate in background
-      this.validateLicenseKey(licenseData.key).catch(error => {
-        console.error('Background validation failed:', error);
-      });
-    }
-
-    return true;
-  }
-
-  async getStoredLicense() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['whop_license'], (result) => {
-        if (chrome.runtime.lastError) {
-          console.error('Error getting stored license:', chrome.runtime.lastError);
-          resolve(null);
-          return;
-        }
-        
-        resolve(result.whop_license || null);
-      });
-    });
-  }
-
-  setStoredLicense(licenseData) {
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.set({ whop_license: licenseData }, () => {
-        if (chrome.runtime.lastError) {
-          console.error('Error storing license:', chrome.runtime.lastError);
-          reject(chrome.runtime.lastError);
-        } else {
-          resolve();
-        }
-      });
-    });
-  }
-
-  clearLicense() {
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.remove('whop_license', () => {
-        if (chrome.runtime.lastError) {
-          console.error('Error clearing license:', chrome.runtime.lastError);
-          reject(chrome.runtime.lastError);
-        } else {
-          resolve();
-        }
-      });
-    });
-  }
-
-  async resetLicense(key) {
-    try {
-      const response = await fetch(`${this.API_BASE_URL}/api/reset-license`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ licenseKey: key }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      
-      // Clear the stored license if reset was successful
-      if (data.success) {
-        await this.clearLicense();
-      }
-      
-      return {
-        success: data.success,
-        message: data.message,
-      };
-    } catch (error) {
-      console.error('License reset error:', error);
-      return {
-        success: false,
-        message: 'License reset failed',
-      };
-    }
-  }
-
-  isCacheExpired(licenseData) {
-    const now = Date.now();
-    const cacheExpiryTime = licenseData.validatedAt + this.CACHE_DURATION;
-    return now > cacheExpiryTime;
-  }
-
-  isWithinGracePeriod(licenseData) {
-    const now = Date.now();
-    const gracePeriodExpiryTime = licenseData.validatedAt + this.OFFLINE_GRACE_PERIOD;
-    return now <= gracePeriodExpiryTime;
-  }
-}
+import { licenseClient } from "./src/utils/licenseClient.js";
+import { TIERS, getTier, hasFeature, applyTierLimits } from "./src/utils/features.js";
+import { SCHEDULE_DAY_NAMES, createDefaultSchedule, parseTimeWindows, formatTimeWindows } from "./src/utils/schedule.js";
+import { getHistoryDay, loadHistory, loadHistoryDays } from "./src/utils/history.js";
+import { validateSitePatterns, suggestPatterns } from "./src/utils/matchers.js";
+import { PRESET_CATEGORIES, isPresetTracked, addPresetCategory, dismissPreset } from "./src/utils/presets.js";
+import { buildExport, parseImport, historyToCsv } from "./src/utils/backup.js";
 
 const DEFAULT_SETTINGS = {
   threshold: 10,
   alertMessage: "What are you doing!? You're wasting time. GET TO WORK!",
   darkMode: false,
+  alertDelivery: "overlay",
+  gate: { enabled: false, delaySeconds: 5 },
+  escalation: {
+    enabled: false,
+    steps: ["toast", "page", "friction", "block"],
+    frictionPhrase: "I choose to focus",
+    frictionSeconds: 30,
+    blockMinutes: 30
+  },
+  budgetReset: { hour: 0, weekStartDay: 1 },
+  strictMode: { enabled: false, cooldownMinutes: 15 },
+  schedule: createDefaultSchedule(false),
   trackedSites: [
     { pattern: "youtube.com/shorts/*", enabled: true, id: "youtube_shorts" },
     { pattern: "tiktok.com/*", enabled: true, id: "tiktok" },
     { pattern: "instagram.com/*", enabled: true, id: "instagram" }
-  ]
+  ],
+  groups: [],
+  allowlist: []
 };
 
-// Initialize LicenseManager
-const licenseManager = new LicenseManager();
+const ALERT_STYLE_OPTIONS = [
+  { value: "default", label: "⚠️ Standard" },
+  { value: "gentle", label: "🌿 Gentle" },
+  { value: "urgent", label: "🚨 Urgent" }
+];
+
+const ESCALATION_STEP_OPTIONS = [
+  { value: "toast", label: "🔔 Notification" },
+  { value: "page", label: "⚠️ Alert" },
+  { value: "friction", label: "⌛ Alert, Close locked" },
+  { value: "block", label: "🚫 Block tracked sites" }
+];
+
+const MATCH_TYPE_OPTIONS = [
+  { value: "glob", label: "Wildcard", placeholder: "example.com/*" },
+  { value: "host", label: "Host", placeholder: "example.com" },
+  { value: "regex", label: "Regex", placeholder: "^https://(www\\.)?example\\.com/watch" },
+  { value: "urlpattern", label: "URL pattern", placeholder: "example.com/videos/:id" }
+];
+
+// Groups as last rendered, for the group picker on each site row
+let siteGroups = [];
+
+// Ids of the sites and allowlist entries as last rendered. Stored ones missing
+// here were added elsewhere (context menu, popup, shortcut) while the page was
+// open, and saving keeps them instead of dropping them with the DOM list.
+let renderedSiteIds = new Set();
+let renderedAllowlistIds = new Set();
+
+// Basic until the background says otherwise; cards for features the tier
+// lacks are shown locked (see applyFeatureLocks)
+let currentTier = TIERS.BASIC;
+
 
 // // Visual indicator for premium status
 // function updatePremiumIndicator() {
@@ -286,133 +104,48 @@ document.addEventListener("DOMContentLoaded", () => {
   setupEventListeners();
 });
 
-// Keep status section in sync when background updates storage
-chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName !== "local") return;
-
-  if (Object.prototype.hasOwnProperty.call(changes, "currentCount")) {
-    // No current count display in new design
-  }
+// The background broadcasts license changes (activation in the popup,
+// deactivation, expiry); follow them without a reload
+licenseClient.onChange((status) => {
+  currentTier = getTier(status.valid);
+  loadSettings();
 });
 
 async function checkLicenseAndLoadSettings() {
-  // Check license before loading settings
-  const hasValidLicense = await licenseManager.hasValidLicense();
-  
-  if (!hasValidLicense) {
-    // Show license prompt instead of full settings
-    showLicensePrompt();
-    return;
-  }
-  
-  // Load the full settings if license is valid
+  currentTier = getTier(await licenseClient.hasValidLicense());
   loadSettings();
   
   // Update premium indicator
   // updatePremiumIndicator();
 }
 
-function showLicensePrompt() {
-  // Create a license prompt overlay
-  const promptDiv = document.createElement('div');
-  promptDiv.id = 'license-prompt-overlay';
-  promptDiv.innerHTML = `
-    <div style="
-      position: fixed;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      background: rgba(0, 0, 0, 0.7);
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      z-index: 10000;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
-    ">
-      <div style="
-        background: white;
-        padding: 30px;
-        border-radius: 16px;
-        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
-        max-width: 450px;
-        width: 90%;
-        text-align: center;
-      ">
-        <h2 style="
-          margin: 0 0 15px 0;
-          font-size: 24px;
-          color: #8a2be2;
-        ">🔒 Premium Features Locked</h2>
-        
-        <p style="
-          margin: 0 0 20px 0;
-          font-size: 16px;
-          line-height: 1.5;
-          color: #333;
-        ">
-          This extension's premium features require a valid license. 
-          Please activate your license to access all settings and functionality.
-        </p>
-        
-        <div style="
-          display: flex;
-          flex-direction: column;
-          gap: 12px;
-        ">
-          <button id="activate-license-btn" style="
-            background: linear-gradient(135deg, #8a2be2, #6a0dad);
-            color: white;
-            border: none;
-            padding: 12px 20px;
-            border-radius: 8px;
-            font-size: 16px;
-            font-weight: 600;
-            cursor: pointer;
-            transition: all 0.2s ease;
-          ">Activate License</button>
-          
-          <button id="continue-basic-btn" style="
-            background: #f5f5f5;
-            color: #666;
-            border: 1px solid #ddd;
-            padding: 12px 20px;
-            border-radius: 8px;
-            font-size: 16px;
-            font-weight: 600;
-            cursor: pointer;
-            transition: all 0.2s ease;
-          ">Continue with Basic Features</button>
-        </div>
-      </div>
-    </div>
-  `;
-  
-  document.body.appendChild(promptDiv);
-  
-  // Add event listeners to the new buttons
-  document.getElementById('activate-license-btn').addEventListener('click', () => {
-    // Open extension popup to activate license
-    chrome.runtime.sendMessage({ action: 'openPopup' }, (response) => {
-      if (chrome.runtime.lastError) {
-        // If message fails, try opening options page or popup via other means
-        if (chrome.runtime.openOptionsPage) {
-          chrome.runtime.openOptionsPage();
-        }
+// Disables every control in the cards whose data-feature the current tier
+// lacks. Only controls disabled here are re-enabled, so ones the renderers
+// disabled on purpose stay that way.
+function applyFeatureLocks() {
+  document.querySelectorAll("[data-feature]").forEach((card) => {
+    const locked = !hasFeature(currentTier, card.dataset.feature);
+    card.classList.toggle("locked", locked);
+    card.querySelectorAll("input, select, textarea, button").forEach((control) => {
+      if (locked && !control.disabled) {
+        control.disabled = true;
+        control.dataset.tierLocked = "true";
+      } else if (!locked && control.dataset.tierLocked) {
+        control.disabled = false;
+        delete control.dataset.tierLocked;
       }
     });
-    // Remove the prompt
-    document.getElementById('license-prompt-overlay').remove();
-    // Load basic settings
-    loadSettings();
-  });
-  
-  document.getElementById('continue-basic-btn').addEventListener('click', () => {
-    // Remove the prompt
-    document.getElementById('license-prompt-overlay').remove();
-    // Load basic settings
-    loadSettings();
   });
+
+  const basic = currentTier === TIERS.BASIC;
+  const banner = document.getElementById("tier-banner");
+  if (banner) {
+    banner.hidden = !basic;
+  }
+  const saveButton = document.getElementById("save");
+  if (saveButton) {
+    saveButton.disabled = basic;
+  }
 }
 
 function loadSettings() {
@@ -423,11 +156,13 @@ function loadSettings() {
     }
 
     // Merge stored settings with defaults to ensure all fields exist
-    const settings = { ...DEFAULT_SETTINGS, ...(data.settings || {}) };
+    const storedSettings = { ...DEFAULT_SETTINGS, ...(data.settings || {}) };
     // Ensure trackedSites is always an array
-    if (!Array.isArray(settings.trackedSites)) {
-      settings.trackedSites = DEFAULT_SETTINGS.trackedSites;
+    if (!Array.isArray(storedSettings.trackedSites)) {
+      storedSettings.trackedSites = DEFAULT_SETTINGS.trackedSites;
     }
+    // Show what tracking actually runs with, so basic mode shows its fixed values
+    const settings = applyTierLimits(storedSettings, currentTier);
 
     console.log("[DGD] Loaded settings:", settings);
 
@@ -437,7 +172,13 @@ function loadSettings() {
     // Load alert message
     const alertMessageEl = document.getElementById("alertMessage");
     if (alertMessageEl) {
-      alertMessageEl.value = settings.alertMessage;
+      alertMessageEl.value = settings.alertMessage || DEFAULT_SETTINGS.alertMessage;
+    }
+
+    // Load alert delivery
+    const alertDeliveryEl = document.getElementById("alert-delivery");
+    if (alertDeliveryEl) {
+      alertDeliveryEl.value = ["tab", "notification"].includes(settings.alertDelivery) ? settings.alertDelivery : "overlay";
     }
 
     // Load threshold
@@ -446,8 +187,61 @@ function loadSettings() {
       thresholdEl.value = settings.threshold;
     }
 
+    // Load mindful gate
+    const gate = { ...DEFAULT_SETTINGS.gate, ...(settings.gate || {}) };
+    const gateEnabledEl = document.getElementById("gate-enabled");
+    if (gateEnabledEl) {
+      gateEnabledEl.checked = !!gate.enabled;
+    }
+    const gateDelayEl = document.getElementById("gate-delay");
+    if (gateDelayEl) {
+      gateDelayEl.value = gate.delaySeconds;
+    }
+
+    // Load escalation ladder
+    renderEscalation({ ...DEFAULT_SETTINGS.escalation, ...(settings.escalation || {}) });
+
+    // Load budget reset boundary
+    const budgetReset = { ...DEFAULT_SETTINGS.budgetReset, ...(settings.budgetReset || {}) };
+    const resetHourEl = document.getElementById("budget-reset-hour");
+    if (resetHourEl) {
+      resetHourEl.value = String(budgetReset.hour);
+    }
+    const weekStartEl = document.getElementById("budget-week-start");
+    if (weekStartEl) {
+      weekStartEl.value = String(budgetReset.weekStartDay);
+    }
+
+    // Load strict mode
+    const strictMode = { ...DEFAULT_SETTINGS.strictMode, ...(settings.strictMode || {}) };
+    const strictEnabledEl = document.getElementById("strict-enabled");
+    if (strictEnabledEl) {
+      strictEnabledEl.checked = !!strictMode.enabled;
+    }
+    const strictCooldownEl = document.getElementById("strict-cooldown");
+    if (strictCooldownEl) {
+      strictCooldownEl.value = strictMode.cooldownMinutes;
+    }
+
+    // Load tracking schedule
+    const scheduleEl = document.getElementById("global-schedule");
+    if (scheduleEl) {
+      renderScheduleEditor(scheduleEl, settings.schedule);
+    }
+
+    // Load preset library
+    renderPresetLibrary(settings);
+
+    // Load site groups before the sites that pick from them
+    renderGroups(Array.isArray(settings.groups) ? settings.groups : []);
+
     // Load tracked sites
     renderTrackedSites(settings.trackedSites || DEFAULT_SETTINGS.trackedSites);
+
+    // Load allowlist
+    renderAllowlist(Array.isArray(settings.allowlist) ? settings.allowlist : []);
+
+    applyFeatureLocks();
   });
 }
 
@@ -455,14 +249,7 @@ function setupEventListeners() {
   // Dark mode toggle
   const darkModeToggle = document.getElementById("dark-mode-toggle");
   if (darkModeToggle) {
-    darkModeToggle.addEventListener("click", async () => {
-      // Check license before allowing dark mode toggle
-      const hasValidLicense = await licenseManager.hasValidLicense();
-      
-      if (!hasValidLicense) {
-        showLicensePrompt();
-        return;
-      }
+    darkModeToggle.addEventListener("click", () => {
       
       const isDark = !document.body.classList.contains("dark");
       applyTheme(isDark);
@@ -483,14 +270,8 @@ function setupEventListeners() {
   const thresholdInput = document.getElementById("threshold");
 
   if (thresholdMinus) {
-    thresholdMinus.addEventListener("click", async () => {
-      // Check license before allowing threshold adjustment
-      const hasValidLicense = await licenseManager.hasValidLicense();
-      
-      if (!hasValidLicense) {
-        showLicensePrompt();
-        return;
-      }
+    thresholdMinus.addEventListener("click", () => {
+      if (!hasFeature(currentTier, "customThreshold")) return;
       
       const val = Math.max(1, parseInt(thresholdInput.value, 10) - 1);
       thresholdInput.value = val;
@@ -498,14 +279,8 @@ function setupEventListeners() {
   }
 
   if (thresholdPlus) {
-    thresholdPlus.addEventListener("click", async () => {
-      // Check license before allowing threshold adjustment
-      const hasValidLicense = await licenseManager.hasValidLicense();
-      
-      if (!hasValidLicense) {
-        showLicensePrompt();
-        return;
-      }
+    thresholdPlus.addEventListener("click", () => {
+      if (!hasFeature(currentTier, "customThreshold")) return;
       
       const val = parseInt(thresholdInput.value, 10) + 1;
       thresholdInput.value = val;
@@ -521,20 +296,142 @@ function setupEventListeners() {
   // Add site button
   const addSiteButton = document.getElementById("add-site");
   if (addSiteButton) {
-    addSiteButton.addEventListener("click", addNewSite);
+    addSiteButton.addEventListener("click", () => addNewSite());
+  }
+
+  // Suggested patterns for a pasted URL
+  const siteUrlInput = document.getElementById("site-url");
+  if (siteUrlInput) {
+    siteUrlInput.addEventListener("input", () => renderUrlSuggestions(siteUrlInput.value.trim()));
+  }
+
+  // Add group button
+  const addGroupButton = document.getElementById("add-group");
+  if (addGroupButton) {
+    addGroupButton.addEventListener("click", addGroup);
+  }
+
+  // Add allowlist entry button
+  const addAllowButton = document.getElementById("add-allow");
+  if (addAllowButton) {
+    addAllowButton.addEventListener("click", addAllowlistEntry);
+  }
+
+  // Backup: export / import
+  const exportJsonButton = document.getElementById("export-json");
+  if (exportJsonButton) {
+    exportJsonButton.addEventListener("click", exportSettingsJson);
+  }
+
+  const exportCsvButton = document.getElementById("export-csv");
+  if (exportCsvButton) {
+    exportCsvButton.addEventListener("click", exportHistoryCsv);
+  }
+
+  const importButton = document.getElementById("import-json");
+  const importFile = document.getElementById("import-file");
+  if (importButton && importFile) {
+    importButton.addEventListener("click", () => {
+      if (!hasFeature(currentTier, "backup")) return;
+
+      importFile.click();
+    });
+    importFile.addEventListener("change", () => {
+      const file = importFile.files[0];
+      importFile.value = "";
+      if (file) {
+        importSettingsFile(file);
+      }
+    });
   }
 
   // Test alert button removed in new design
 }
 
-async function saveSettings() {
-  // Check license before saving premium settings
-  const hasValidLicense = await licenseManager.hasValidLicense();
-  
-  if (!hasValidLicense) {
-    showLicensePrompt();
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportSettingsJson() {
+  try {
+    const { settings } = await chrome.storage.local.get("settings");
+    const historyDays = await loadHistoryDays();
+    const text = JSON.stringify(buildExport(settings || DEFAULT_SETTINGS, historyDays), null, 2);
+    // Round trip before downloading: a backup that can't be imported again is no backup
+    parseImport(text);
+    downloadFile(`dont-get-distracted-${getHistoryDay(new Date())}.json`, text, "application/json");
+    showStatus("Exported settings and history");
+  } catch (error) {
+    console.error("Error exporting settings:", error);
+    showStatus(`Export failed: ${error.message}`);
+  }
+}
+
+async function exportHistoryCsv() {
+  try {
+    const { settings } = await chrome.storage.local.get("settings");
+    const events = await loadHistory();
+    const csv = historyToCsv(events, (settings || DEFAULT_SETTINGS).trackedSites);
+    downloadFile(`dont-get-distracted-history-${getHistoryDay(new Date())}.csv`, csv, "text/csv");
+    showStatus(`Exported ${events.length} history events`);
+  } catch (error) {
+    console.error("Error exporting history:", error);
+    showStatus("Export failed");
+  }
+}
+
+async function importSettingsFile(file) {
+  let imported;
+  try {
+    imported = parseImport(await file.text());
+  } catch (error) {
+    showStatus(`Import failed: ${error.message}`);
     return;
   }
+
+  const dayCount = Object.keys(imported.history).length;
+  const summary = `Replace your settings with the ${imported.settings.trackedSites.length} tracked sites from "${file.name}"`
+    + (dayCount ? ` and merge ${dayCount} days of history?` : "?")
+    + (imported.skipped ? `\n\n${imported.skipped} empty site or exception row${imported.skipped === 1 ? " is" : "s are"} skipped.` : "");
+  if (!confirm(summary)) return;
+
+  const settings = { ...DEFAULT_SETTINGS, ...imported.settings };
+  chrome.storage.local.set({ settings }, () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error importing settings:", chrome.runtime.lastError);
+      showStatus("Import failed");
+      return;
+    }
+
+    loadSettings();
+
+    if (!dayCount) {
+      showStatus("Settings imported");
+      return;
+    }
+
+    // The background worker owns history writes
+    chrome.runtime.sendMessage({ type: "import_history", days: imported.history }, (response) => {
+      if (chrome.runtime.lastError || !response || !response.ok) {
+        console.error("Error importing history:", chrome.runtime.lastError || response);
+        showStatus("Settings imported, but history import failed");
+        return;
+      }
+      showStatus(`Settings and ${dayCount} days of history imported`);
+    });
+  });
+}
+
+function saveSettings() {
+  // Basic mode has nothing to save here: dark mode is saved as it is toggled
+  if (currentTier === TIERS.BASIC) return;
   
   const alertMessageEl = document.getElementById("alertMessage");
   const thresholdEl = document.getElementById("threshold");
@@ -542,6 +439,8 @@ async function saveSettings() {
   const alertMessage = alertMessageEl ? alertMessageEl.value.trim() : DEFAULT_SETTINGS.alertMessage;
   const threshold = thresholdEl ? Math.max(1, parseInt(thresholdEl.value, 10) || DEFAULT_SETTINGS.threshold) : DEFAULT_SETTINGS.threshold;
   const darkMode = document.body.classList.contains("dark");
+  const alertDeliveryEl = document.getElementById("alert-delivery");
+  const alertDelivery = alertDeliveryEl ? alertDeliveryEl.value : DEFAULT_SETTINGS.alertDelivery;
 
   chrome.storage.local.get(["settings"], (data) => {
     if (chrome.runtime.lastError) {
@@ -551,28 +450,148 @@ async function saveSettings() {
     }
 
     const oldSettings = data.settings || DEFAULT_SETTINGS;
+    const scheduleErrors = [];
+
+    const globalScheduleEl = document.getElementById("global-schedule");
+    let schedule = oldSettings.schedule || DEFAULT_SETTINGS.schedule;
+    if (globalScheduleEl) {
+      const result = readScheduleEditor(globalScheduleEl);
+      schedule = result.schedule;
+      scheduleErrors.push(...result.errors);
+    }
+
+    // Get site groups from DOM
+    const groups = Array.from(document.querySelectorAll(".group-row")).map((el, index) => {
+      const nameEl = el.querySelector(".group-name");
+      const thresholdEl = el.querySelector(".group-threshold");
+      const messageEl = el.querySelector(".group-alert-message");
+      const groupThreshold = thresholdEl ? parseInt(thresholdEl.value, 10) : NaN;
+      return {
+        id: el.dataset.id || `group_${Date.now()}_${index}`,
+        name: (nameEl && nameEl.value.trim()) || `Group ${index + 1}`,
+        threshold: groupThreshold >= 1 ? groupThreshold : null,
+        alertMessage: messageEl && messageEl.value.trim() ? messageEl.value.trim() : null,
+        budget: readSiteBudget(el)
+      };
+    });
+    const groupIds = new Set(groups.map((group) => group.id));
 
     // Get tracked sites from DOM
     const siteElements = document.querySelectorAll(".site-row");
     const trackedSites = Array.from(siteElements).map((el, index) => {
-      const patternEl = el.querySelector(".site-pattern");
+      const { pattern, matchType, exclude } = readSitePatterns(el);
       const enabledEl = el.querySelector(".site-enabled");
-      const pattern = patternEl ? patternEl.value.trim() : "";
+      const minutesEl = el.querySelector(".site-minutes");
+      const groupEl = el.querySelector(".site-group");
+      const groupId = groupEl && groupIds.has(groupEl.value) ? groupEl.value : null;
       const enabled = enabledEl ? enabledEl.checked : true;
-      // Try to preserve existing ID, otherwise generate new one
-      const existingId = oldSettings.trackedSites?.[index]?.id;
+      const timeThreshold = minutesEl ? Math.max(0, parseInt(minutesEl.value, 10) || 0) : 0;
+      const siteScheduleEl = el.querySelector(".site-schedule-editor");
+      let siteSchedule = null;
+      if (siteScheduleEl) {
+        const result = readScheduleEditor(siteScheduleEl);
+        scheduleErrors.push(...result.errors.map((error) => `${pattern || "New site"}: ${error}`));
+        siteSchedule = result.schedule.enabled ? result.schedule : null;
+      }
+      // Keep the row's own ID, otherwise generate new one
+      const existingId = el.dataset.id;
+      const presetId = el.dataset.presetId;
       return {
         pattern,
+        matchType,
+        exclude,
         enabled,
+        timeThreshold,
+        groupId,
+        ...readSiteOverrides(el),
+        budget: readSiteBudget(el),
+        schedule: siteSchedule,
+        ...(presetId ? { presetId } : {}),
         id: existingId || `custom_${Date.now()}_${index}`
       };
     }).filter(site => site.pattern); // Remove empty patterns
 
+    // Get allowlist entries from DOM
+    const allowElements = document.querySelectorAll(".allow-row");
+    const allowlist = Array.from(allowElements).map((el, index) => {
+      const { pattern, matchType } = readSitePatterns(el);
+      const enabledEl = el.querySelector(".site-enabled");
+      const existingId = el.dataset.id;
+      return {
+        pattern,
+        matchType,
+        enabled: enabledEl ? enabledEl.checked : true,
+        id: existingId || `allow_${Date.now()}_${index}`
+      };
+    }).filter(entry => entry.pattern);
+
+    const sitesAddedElsewhere = (oldSettings.trackedSites || []).filter((site) => !renderedSiteIds.has(site.id));
+    const allowlistAddedElsewhere = (oldSettings.allowlist || []).filter((entry) => !renderedAllowlistIds.has(entry.id));
+    trackedSites.push(...sitesAddedElsewhere);
+    allowlist.push(...allowlistAddedElsewhere);
+
+    const patternErrors = [];
+    [...siteElements, ...allowElements].forEach((el) => {
+      const site = readSitePatterns(el);
+      if (!site.pattern) return;
+      const errors = validateSitePatterns(site);
+      el.querySelector(".site-pattern")?.classList.toggle("invalid", errors.length > 0);
+      patternErrors.push(...errors);
+    });
+
+    if (patternErrors.length > 0) {
+      showStatus(patternErrors[0]);
+      showSaved("Fix patterns");
+      return;
+    }
+
+    if (scheduleErrors.length > 0) {
+      showStatus(scheduleErrors[0]);
+      showSaved("Fix schedule");
+      return;
+    }
+
+    const resetHourEl = document.getElementById("budget-reset-hour");
+    const weekStartEl = document.getElementById("budget-week-start");
+    const budgetReset = {
+      hour: resetHourEl ? parseInt(resetHourEl.value, 10) || 0 : DEFAULT_SETTINGS.budgetReset.hour,
+      weekStartDay: weekStartEl ? parseInt(weekStartEl.value, 10) || 0 : DEFAULT_SETTINGS.budgetReset.weekStartDay
+    };
+
+    const strictEnabledEl = document.getElementById("strict-enabled");
+    const strictCooldownEl = document.getElementById("strict-cooldown");
+    const strictMode = {
+      enabled: strictEnabledEl ? strictEnabledEl.checked : false,
+      cooldownMinutes: strictCooldownEl
+        ? Math.max(1, parseInt(strictCooldownEl.value, 10) || DEFAULT_SETTINGS.strictMode.cooldownMinutes)
+        : DEFAULT_SETTINGS.strictMode.cooldownMinutes
+    };
+
+    const gateEnabledEl = document.getElementById("gate-enabled");
+    const gateDelayEl = document.getElementById("gate-delay");
+    const gate = {
+      enabled: gateEnabledEl ? gateEnabledEl.checked : false,
+      delaySeconds: gateDelayEl
+        ? Math.min(60, Math.max(0, parseInt(gateDelayEl.value, 10) || 0))
+        : DEFAULT_SETTINGS.gate.delaySeconds
+    };
+
+    const escalation = readEscalation(oldSettings.escalation);
+
     const newSettings = {
+      ...oldSettings,
       threshold,
       alertMessage: alertMessage || DEFAULT_SETTINGS.alertMessage,
       darkMode,
-      trackedSites: trackedSites.length > 0 ? trackedSites : DEFAULT_SETTINGS.trackedSites
+      alertDelivery,
+      gate,
+      escalation,
+      budgetReset,
+      strictMode,
+      schedule,
+      trackedSites: trackedSites.length > 0 ? trackedSites : DEFAULT_SETTINGS.trackedSites,
+      groups,
+      allowlist
     };
 
     console.log("[DGD] Saving settings:", newSettings);
@@ -584,6 +603,11 @@ async function saveSettings() {
         return;
       }
       applyTheme(darkMode);
+      if (sitesAddedElsewhere.length > 0 || allowlistAddedElsewhere.length > 0) {
+        renderTrackedSites(newSettings.trackedSites);
+        renderAllowlist(newSettings.allowlist);
+      }
+      showStatus("");
       showSaved("Saved!");
     });
   });
@@ -594,18 +618,66 @@ function renderTrackedSites(sites) {
   if (!container) return;
 
   container.innerHTML = "";
+  renderedSiteIds = new Set((sites || []).map((site) => site.id));
 
   (sites || []).forEach((site, index) => {
+    const matchType = site.matchType || "glob";
+    const exclude = site.exclude || [];
     const siteDiv = document.createElement("div");
     siteDiv.className = "site-row";
+    // Ids ride on the row so saving maps them back even if rows moved since load
+    if (site.id) siteDiv.dataset.id = site.id;
+    if (site.presetId) siteDiv.dataset.presetId = site.presetId;
     siteDiv.innerHTML = `
-      <input type="text" class="site-pattern" value="${site.pattern}" placeholder="example.com/*">
+      ${renderMatchTypeSelect(matchType)}
+      <input type="text" class="site-pattern" value="${escapeHtml(site.pattern)}" placeholder="${escapeHtml(getMatchTypePlaceholder(matchType))}">
+      <label class="field inline" title="Alert after this many minutes of active time (0 = off)">
+        <input type="number" class="site-minutes" min="0" value="${site.timeThreshold || 0}">
+        <span>min</span>
+      </label>
       <label class="field inline">
         <input type="checkbox" class="site-enabled" ${site.enabled ? "checked" : ""}>
         <span>Enabled</span>
       </label>
       <button class="remove-btn secondary-button" data-index="${index}">Remove</button>
+      ${siteGroups.length > 0 ? `
+        <label class="field inline" title="Grouped sites share one streak and the group's budget">
+          <span>Group</span>
+          <select class="site-group">
+            <option value="">None</option>
+            ${siteGroups.map((group) => `
+              <option value="${escapeHtml(group.id)}" ${site.groupId === group.id ? "selected" : ""}>${escapeHtml(group.name)}</option>
+            `).join("")}
+          </select>
+        </label>
+      ` : ""}
+      ${renderBudgetFields(site.budget)}
+      <details class="site-overrides" ${site.threshold || site.alertMessage || (site.alertStyle && site.alertStyle !== "default") ? "open" : ""}>
+        <summary>Alert overrides</summary>
+        <div class="field inline">
+          <input type="number" class="site-threshold" min="1" value="${site.threshold || ""}" placeholder="Global">
+          <span>visits</span>
+          <select class="site-alert-style">
+            ${ALERT_STYLE_OPTIONS.map((option) => `
+              <option value="${option.value}" ${(site.alertStyle || "default") === option.value ? "selected" : ""}>${option.label}</option>
+            `).join("")}
+          </select>
+        </div>
+        <textarea class="site-alert-message" rows="2" placeholder="Use the global alert message">${escapeHtml(site.alertMessage || "")}</textarea>
+      </details>
+      <details class="site-exclusions" ${exclude.length > 0 ? "open" : ""}>
+        <summary>Exclusions</summary>
+        <textarea class="site-exclude" rows="2" placeholder="One pattern per line, same match type as the site">${escapeHtml(exclude.join("\n"))}</textarea>
+      </details>
+      <details class="site-schedule" ${site.schedule && site.schedule.enabled ? "open" : ""}>
+        <summary>Custom schedule</summary>
+        <div class="site-schedule-editor"></div>
+      </details>
     `;
+    renderScheduleEditor(siteDiv.querySelector(".site-schedule-editor"), site.schedule, "Use its own hours instead of the global schedule");
+    siteDiv.querySelector(".site-match-type").addEventListener("change", (e) => {
+      siteDiv.querySelector(".site-pattern").placeholder = getMatchTypePlaceholder(e.target.value);
+    });
     container.appendChild(siteDiv);
   });
 
@@ -618,21 +690,289 @@ function renderTrackedSites(sites) {
   });
 }
 
-async function addNewSite() {
-  // Check license before allowing adding new sites
-  const hasValidLicense = await licenseManager.hasValidLicense();
-  
-  if (!hasValidLicense) {
-    showLicensePrompt();
-    return;
+function renderEscalation(escalation) {
+  const enabledEl = document.getElementById("escalation-enabled");
+  if (enabledEl) {
+    enabledEl.checked = !!escalation.enabled;
+  }
+
+  const stepsEl = document.getElementById("escalation-steps");
+  if (stepsEl) {
+    // Always four rungs; the stored ladder may be shorter if edited by hand
+    const steps = [0, 1, 2, 3].map((i) => escalation.steps[i] || escalation.steps[escalation.steps.length - 1]);
+    stepsEl.innerHTML = steps.map((step, i) => `
+      <label class="field inline escalation-step">
+        <span>${["1st", "2nd", "3rd", "4th+"][i]} alert</span>
+        <select class="escalation-step-select">
+          ${ESCALATION_STEP_OPTIONS.map((option) => `
+            <option value="${option.value}" ${step === option.value ? "selected" : ""}>${option.label}</option>
+          `).join("")}
+        </select>
+      </label>
+    `).join("");
+  }
+
+  const phraseEl = document.getElementById("escalation-phrase");
+  if (phraseEl) {
+    phraseEl.value = escalation.frictionPhrase || "";
+  }
+  const secondsEl = document.getElementById("escalation-seconds");
+  if (secondsEl) {
+    secondsEl.value = escalation.frictionSeconds;
+  }
+  const blockEl = document.getElementById("escalation-block");
+  if (blockEl) {
+    blockEl.value = escalation.blockMinutes;
+  }
+}
+
+function readEscalation(previous) {
+  const current = { ...DEFAULT_SETTINGS.escalation, ...(previous || {}) };
+  const enabledEl = document.getElementById("escalation-enabled");
+  const stepEls = document.querySelectorAll(".escalation-step-select");
+  const phraseEl = document.getElementById("escalation-phrase");
+  const secondsEl = document.getElementById("escalation-seconds");
+  const blockEl = document.getElementById("escalation-block");
+
+  return {
+    enabled: enabledEl ? enabledEl.checked : current.enabled,
+    steps: stepEls.length > 0 ? Array.from(stepEls).map((el) => el.value) : current.steps,
+    frictionPhrase: phraseEl ? phraseEl.value.trim() : current.frictionPhrase,
+    frictionSeconds: secondsEl ? Math.max(0, parseInt(secondsEl.value, 10) || 0) : current.frictionSeconds,
+    blockMinutes: blockEl
+      ? Math.max(1, parseInt(blockEl.value, 10) || DEFAULT_SETTINGS.escalation.blockMinutes)
+      : current.blockMinutes
+  };
+}
+
+function renderBudgetFields(budget) {
+  const current = budget || {};
+  return `
+    <div class="site-budget field inline">
+      <span>Budget</span>
+      <select class="site-budget-period">
+        <option value="">None</option>
+        <option value="day" ${current.period === "day" ? "selected" : ""}>Daily</option>
+        <option value="week" ${current.period === "week" ? "selected" : ""}>Weekly</option>
+      </select>
+      <input type="number" class="site-budget-visits" min="0" value="${current.visits || 0}">
+      <span>visits</span>
+      <input type="number" class="site-budget-minutes" min="0" value="${current.minutes || 0}">
+      <span>min</span>
+    </div>
+  `;
+}
+
+function renderGroups(groups) {
+  siteGroups = groups || [];
+  const container = document.getElementById("site-groups");
+  if (!container) return;
+
+  container.innerHTML = "";
+
+  siteGroups.forEach((group, index) => {
+    const groupDiv = document.createElement("div");
+    groupDiv.className = "group-row";
+    groupDiv.dataset.id = group.id;
+    groupDiv.innerHTML = `
+      <input type="text" class="group-name" value="${escapeHtml(group.name || "")}" placeholder="Short-form video">
+      <label class="field inline" title="Shared streak length that triggers the alert">
+        <input type="number" class="group-threshold" min="1" value="${group.threshold || ""}" placeholder="Global">
+        <span>visits</span>
+      </label>
+      <button class="remove-btn secondary-button" data-index="${index}">Remove</button>
+      ${renderBudgetFields(group.budget)}
+      <textarea class="group-alert-message" rows="2" placeholder="Use the global alert message">${escapeHtml(group.alertMessage || "")}</textarea>
+    `;
+    container.appendChild(groupDiv);
+  });
+
+  container.querySelectorAll(".remove-btn").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      const index = parseInt(e.target.dataset.index, 10);
+      removeGroup(index);
+    });
+  });
+}
+
+function renderMatchTypeSelect(matchType) {
+  return `
+    <select class="site-match-type" title="How the pattern is matched">
+      ${MATCH_TYPE_OPTIONS.map((option) => `
+        <option value="${option.value}" ${matchType === option.value ? "selected" : ""}>${option.label}</option>
+      `).join("")}
+    </select>
+  `;
+}
+
+function renderAllowlist(entries) {
+  const container = document.getElementById("allowlist");
+  if (!container) return;
+
+  container.innerHTML = "";
+  renderedAllowlistIds = new Set((entries || []).map((entry) => entry.id));
+
+  (entries || []).forEach((entry, index) => {
+    const matchType = entry.matchType || "glob";
+    const entryDiv = document.createElement("div");
+    entryDiv.className = "allow-row";
+    if (entry.id) entryDiv.dataset.id = entry.id;
+    entryDiv.innerHTML = `
+      ${renderMatchTypeSelect(matchType)}
+      <input type="text" class="site-pattern" value="${escapeHtml(entry.pattern)}" placeholder="${escapeHtml(getMatchTypePlaceholder(matchType))}">
+      <label class="field inline">
+        <input type="checkbox" class="site-enabled" ${entry.enabled ? "checked" : ""}>
+        <span>Enabled</span>
+      </label>
+      <button class="remove-btn secondary-button" data-index="${index}">Remove</button>
+    `;
+    entryDiv.querySelector(".site-match-type").addEventListener("change", (e) => {
+      entryDiv.querySelector(".site-pattern").placeholder = getMatchTypePlaceholder(e.target.value);
+    });
+    container.appendChild(entryDiv);
+  });
+
+  container.querySelectorAll(".remove-btn").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      const index = parseInt(e.target.dataset.index, 10);
+      removeAllowlistEntry(index);
+    });
+  });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function getMatchTypePlaceholder(matchType) {
+  const option = MATCH_TYPE_OPTIONS.find((o) => o.value === matchType);
+  return option ? option.placeholder : MATCH_TYPE_OPTIONS[0].placeholder;
+}
+
+function readSitePatterns(siteEl) {
+  const patternEl = siteEl.querySelector(".site-pattern");
+  const matchTypeEl = siteEl.querySelector(".site-match-type");
+  const excludeEl = siteEl.querySelector(".site-exclude");
+
+  return {
+    pattern: patternEl ? patternEl.value.trim() : "",
+    matchType: matchTypeEl ? matchTypeEl.value : "glob",
+    exclude: excludeEl
+      ? excludeEl.value.split("\n").map((line) => line.trim()).filter(Boolean)
+      : []
+  };
+}
+
+function readSiteOverrides(siteEl) {
+  const thresholdEl = siteEl.querySelector(".site-threshold");
+  const messageEl = siteEl.querySelector(".site-alert-message");
+  const styleEl = siteEl.querySelector(".site-alert-style");
+  const threshold = thresholdEl ? parseInt(thresholdEl.value, 10) : NaN;
+
+  return {
+    // Empty fields fall back to the global settings
+    threshold: threshold >= 1 ? threshold : null,
+    alertMessage: messageEl && messageEl.value.trim() ? messageEl.value.trim() : null,
+    alertStyle: styleEl ? styleEl.value : "default"
+  };
+}
+
+function renderScheduleEditor(container, schedule, label = "Only track during these hours") {
+  const current = schedule && Array.isArray(schedule.days) ? schedule : createDefaultSchedule(false);
+  // Monday first, the way most people read a work week
+  const dayOrder = [1, 2, 3, 4, 5, 6, 0];
+
+  container.innerHTML = `
+    <label class="field inline">
+      <input type="checkbox" class="schedule-enabled" ${current.enabled ? "checked" : ""}>
+      <span>${label}</span>
+    </label>
+    <div class="schedule-days">
+      ${dayOrder.map((day) => `
+        <div class="schedule-day field inline">
+          <span class="schedule-day-name">${SCHEDULE_DAY_NAMES[day].slice(0, 3)}</span>
+          <input type="text" class="schedule-windows" data-day="${day}"
+            value="${formatTimeWindows(current.days[day])}" placeholder="Off (e.g. 09:00-17:00)">
+        </div>
+      `).join("")}
+    </div>
+  `;
+}
+
+function readScheduleEditor(container) {
+  const enabledEl = container.querySelector(".schedule-enabled");
+  const days = [[], [], [], [], [], [], []];
+  const errors = [];
+
+  container.querySelectorAll(".schedule-windows").forEach((input) => {
+    const day = parseInt(input.dataset.day, 10);
+    try {
+      days[day] = parseTimeWindows(input.value);
+      input.classList.remove("invalid");
+    } catch (e) {
+      errors.push(`${SCHEDULE_DAY_NAMES[day]}: ${e.message}`);
+      input.classList.add("invalid");
+    }
+  });
+
+  return {
+    schedule: { enabled: !!(enabledEl && enabledEl.checked), days },
+    errors
+  };
+}
+
+function readSiteBudget(siteEl) {
+  const periodEl = siteEl.querySelector(".site-budget-period");
+  const visitsEl = siteEl.querySelector(".site-budget-visits");
+  const minutesEl = siteEl.querySelector(".site-budget-minutes");
+  const period = periodEl ? periodEl.value : "";
+  if (!period) return null;
+
+  const visits = visitsEl ? Math.max(0, parseInt(visitsEl.value, 10) || 0) : 0;
+  const minutes = minutesEl ? Math.max(0, parseInt(minutesEl.value, 10) || 0) : 0;
+  // A budget with no allowance set is the same as no budget
+  if (!visits && !minutes) return null;
+
+  return { period, visits, minutes };
+}
+
+function renderUrlSuggestions(url) {
+  const container = document.getElementById("site-url-suggestions");
+  if (!container) return;
+  container.innerHTML = "";
+
+  for (const suggestion of suggestPatterns(url)) {
+    const button = document.createElement("button");
+    button.className = "secondary-button";
+    button.textContent = suggestion.label;
+    const pattern = document.createElement("span");
+    pattern.className = "site-url-pattern";
+    pattern.textContent = suggestion.pattern;
+    button.appendChild(pattern);
+    button.addEventListener("click", () => {
+      addNewSite(suggestion.pattern, suggestion.matchType);
+      document.getElementById("site-url").value = "";
+      container.innerHTML = "";
+    });
+    container.appendChild(button);
   }
+}
+
+function addNewSite(pattern = "", matchType = "glob") {
+  if (!hasFeature(currentTier, "customSites")) return;
   
   chrome.storage.local.get(["settings"], (data) => {
     const settings = data.settings || DEFAULT_SETTINGS;
     const nextSites = [...(settings.trackedSites || [])];
     nextSites.push({
-      pattern: "",
+      pattern,
+      matchType,
       enabled: true,
+      timeThreshold: 0,
       id: `custom_${Date.now()}_${nextSites.length}`
     });
     settings.trackedSites = nextSites;
@@ -643,29 +983,164 @@ async function addNewSite() {
   });
 }
 
-async function removeSite(index) {
-  // Check license before allowing removing sites
-  const hasValidLicense = await licenseManager.hasValidLicense();
-  
-  if (!hasValidLicense) {
-    showLicensePrompt();
-    return;
-  }
+function removeSite(index) {
+  if (!hasFeature(currentTier, "customSites")) return;
   
   chrome.storage.local.get(["settings"], (data) => {
-    const settings = data.settings || DEFAULT_SETTINGS;
+    let settings = data.settings || DEFAULT_SETTINGS;
     const nextSites = [...(settings.trackedSites || [])];
     if (index >= 0 && index < nextSites.length) {
-      nextSites.splice(index, 1);
+      const [removed] = nextSites.splice(index, 1);
+      settings = dismissPreset(settings, removed.presetId);
     }
     settings.trackedSites = nextSites;
     chrome.storage.local.set({ settings }, () => {
       renderTrackedSites(settings.trackedSites);
+      renderPresetLibrary(settings);
       showSaved();
     });
   });
 }
 
+function renderPresetLibrary(settings) {
+  const container = document.getElementById("preset-library");
+  if (!container) return;
+
+  const addedCategories = (settings.presets && settings.presets.categories) || [];
+  const trackedSites = settings.trackedSites || [];
+
+  container.innerHTML = PRESET_CATEGORIES.map((category) => {
+    const missing = category.presets.filter((preset) => !isPresetTracked(trackedSites, preset)).length;
+    const added = addedCategories.includes(category.id);
+    return `
+      <div class="preset-row field inline">
+        <div class="preset-info">
+          <div class="preset-name">${escapeHtml(category.name)}</div>
+          <div class="preset-sites">${category.presets.map((preset) => escapeHtml(preset.pattern)).join(", ")}</div>
+        </div>
+        <button class="secondary-button preset-add-btn" data-category="${category.id}" ${added && missing === 0 ? "disabled" : ""}>
+          ${added ? (missing > 0 ? `+ Restore ${missing}` : "Added") : "+ Add"}
+        </button>
+      </div>
+    `;
+  }).join("");
+
+  container.querySelectorAll(".preset-add-btn").forEach((btn) => {
+    btn.addEventListener("click", (e) => {
+      addPresetCategoryFromLibrary(e.currentTarget.dataset.category);
+    });
+  });
+}
+
+function addPresetCategoryFromLibrary(categoryId) {
+  if (!hasFeature(currentTier, "customSites")) return;
+
+  chrome.storage.local.get(["settings"], (data) => {
+    const result = addPresetCategory(data.settings || DEFAULT_SETTINGS, categoryId);
+    const settings = result.settings;
+    chrome.storage.local.set({ settings }, () => {
+      if (chrome.runtime.lastError) {
+        console.error("Error adding presets:", chrome.runtime.lastError);
+        showSaved("Error!");
+        return;
+      }
+      renderPresetLibrary(settings);
+      renderGroups(settings.groups);
+      renderTrackedSites(settings.trackedSites);
+      showStatus(`Added ${result.added} site${result.added === 1 ? "" : "s"}`);
+      showSaved();
+    });
+  });
+}
+
+function addGroup() {
+  if (!hasFeature(currentTier, "customSites")) return;
+
+  chrome.storage.local.get(["settings"], (data) => {
+    const settings = data.settings || DEFAULT_SETTINGS;
+    const nextGroups = [...(settings.groups || [])];
+    nextGroups.push({
+      id: `group_${Date.now()}_${nextGroups.length}`,
+      name: `Group ${nextGroups.length + 1}`,
+      threshold: null,
+      alertMessage: null,
+      budget: null
+    });
+    settings.groups = nextGroups;
+    chrome.storage.local.set({ settings }, () => {
+      renderGroups(settings.groups);
+      renderTrackedSites(settings.trackedSites);
+      showSaved();
+    });
+  });
+}
+
+function removeGroup(index) {
+  if (!hasFeature(currentTier, "customSites")) return;
+
+  chrome.storage.local.get(["settings"], (data) => {
+    const settings = data.settings || DEFAULT_SETTINGS;
+    const nextGroups = [...(settings.groups || [])];
+    if (index < 0 || index >= nextGroups.length) return;
+
+    // Members of a removed group go back to counting on their own
+    const [removed] = nextGroups.splice(index, 1);
+    settings.groups = nextGroups;
+    settings.trackedSites = (settings.trackedSites || []).map((site) => (
+      site.groupId === removed.id ? { ...site, groupId: null } : site
+    ));
+    chrome.storage.local.set({ settings }, () => {
+      renderGroups(settings.groups);
+      renderTrackedSites(settings.trackedSites);
+      showSaved();
+    });
+  });
+}
+
+function addAllowlistEntry() {
+  if (!hasFeature(currentTier, "allowlist")) return;
+
+  chrome.storage.local.get(["settings"], (data) => {
+    const settings = data.settings || DEFAULT_SETTINGS;
+    const nextEntries = [...(settings.allowlist || [])];
+    nextEntries.push({
+      pattern: "",
+      matchType: "glob",
+      enabled: true,
+      id: `allow_${Date.now()}_${nextEntries.length}`
+    });
+    settings.allowlist = nextEntries;
+    chrome.storage.local.set({ settings }, () => {
+      renderAllowlist(settings.allowlist);
+      showSaved();
+    });
+  });
+}
+
+function removeAllowlistEntry(index) {
+  if (!hasFeature(currentTier, "allowlist")) return;
+
+  chrome.storage.local.get(["settings"], (data) => {
+    const settings = data.settings || DEFAULT_SETTINGS;
+    const nextEntries = [...(settings.allowlist || [])];
+    if (index >= 0 && index < nextEntries.length) {
+      nextEntries.splice(index, 1);
+    }
+    settings.allowlist = nextEntries;
+    chrome.storage.local.set({ settings }, () => {
+      renderAllowlist(settings.allowlist);
+      showSaved();
+    });
+  });
+}
+
+function showStatus(message) {
+  const statusEl = document.getElementById("status");
+  if (statusEl) {
+    statusEl.textContent = message;
+  }
+}
+
 function showSaved(message = "Saved") {
   const saveBtn = document.getElementById("save");
   if (!saveBtn) return;
@@ -679,18 +1154,3 @@ function showSaved(message = "Saved") {
     saveBtn.style.background = "";
   }, 1500);
 }
-
-// Listen for messages from background script to open popup
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'openPopup') {
-    if (chrome.runtime.openOptionsPage) {
-      chrome.runtime.openOptionsPage();
-    } else {
-      // Fallback: try to open via extension URL
-      const extensionUrl = chrome.runtime.getURL('popup.html');
-      window.open(extensionUrl, 'extension_popup', 'width=400,height=500');
-    }
-    sendResponse({ success: true });
-  }
-  return true; // Keep message channel open for async response
-});
\ No newline at end of file
@@ -0,0 +1,234 @@
+// alertOverlay.js - Full-screen alert injected into the offending tab
+//
+// showAlertOverlay is handed to chrome.scripting.executeScript as `func`, so
+// Chrome serializes its source and runs it in the page's isolated world. It must
+// stay self-contained: no references to anything outside the function body.
+
+/**
+ * Shows the alert over the page inside a closed shadow root so the site's CSS
+ * can't reach it, and pauses any playing media until it is closed.
+ * Options: { siteId, message, style, darkMode, snooze, friction }, where snooze
+ * says whether the snooze buttons are offered and friction is null or
+ * { phrase, seconds } and keeps "Close" disabled until the phrase is typed or
+ * the countdown runs out.
+ */
+export function showAlertOverlay(options) {
+  const HOST_ID = 'dgd-alert-overlay';
+  const STYLES = {
+    default: { icon: '⚠️', title: 'What are you doing!?', accent: '#ef4444' },
+    gentle: { icon: '🌿', title: 'Time for a pause?', accent: '#10b981' },
+    urgent: { icon: '🚨', title: 'STOP SCROLLING!', accent: '#dc2626' },
+  };
+  const style = STYLES[options.style] || STYLES.default;
+
+  // A second alert replaces the first instead of stacking. The isolated world
+  // is shared between injections, so the previous one left its cleanup here.
+  if (typeof window.dgdRemoveAlertOverlay === 'function') {
+    window.dgdRemoveAlertOverlay();
+  }
+  const existing = document.getElementById(HOST_ID);
+  if (existing) existing.remove();
+
+  const pauseMedia = (event) => {
+    const media = event && event.target instanceof HTMLMediaElement
+      ? [event.target]
+      : document.querySelectorAll('video, audio');
+    media.forEach((el) => {
+      if (!el.paused) el.pause();
+    });
+  };
+  pauseMedia();
+  // Autoplaying feeds start the next clip on their own; keep it paused too
+  document.addEventListener('play', pauseMedia, true);
+
+  const host = document.createElement('div');
+  host.id = HOST_ID;
+  host.style.cssText = 'all: initial; position: fixed; inset: 0; z-index: 2147483647;';
+  const root = host.attachShadow({ mode: 'closed' });
+  // Keep typing in the overlay from triggering the site's keyboard shortcuts
+  ['keydown', 'keypress', 'keyup'].forEach((type) => {
+    host.addEventListener(type, (e) => {
+      if (e.key !== 'Escape') e.stopPropagation();
+    });
+  });
+
+  const dark = !!options.darkMode;
+  root.innerHTML = `
+    <style>
+      .backdrop {
+        position: fixed;
+        inset: 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(15, 23, 42, 0.72);
+        backdrop-filter: blur(8px);
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      }
+      .card {
+        max-width: 440px;
+        margin: 24px;
+        padding: 32px;
+        border-radius: 20px;
+        text-align: center;
+        background: ${dark ? '#1f2937' : '#ffffff'};
+        color: ${dark ? '#f9fafb' : '#111827'};
+        border-top: 6px solid ${style.accent};
+        box-shadow: 0 24px 64px rgba(0, 0, 0, 0.35);
+      }
+      .icon { font-size: 48px; }
+      h1 { margin: 12px 0 8px; font-size: 24px; }
+      p { margin: 0 0 24px; font-size: 16px; line-height: 1.5; white-space: pre-wrap; }
+      .actions { display: flex; gap: 12px; justify-content: center; }
+      button {
+        padding: 10px 20px;
+        border: none;
+        border-radius: 10px;
+        font: inherit;
+        font-weight: 600;
+        cursor: pointer;
+      }
+      .primary { background: ${style.accent}; color: #ffffff; }
+      .secondary { background: ${dark ? '#374151' : '#e5e7eb'}; color: inherit; }
+      button:disabled { opacity: 0.5; cursor: not-allowed; }
+      .snooze { margin-top: 20px; font-size: 14px; }
+      .snooze input,
+      .friction input {
+        box-sizing: border-box;
+        width: 100%;
+        padding: 8px 10px;
+        border: 1px solid ${dark ? '#4b5563' : '#d1d5db'};
+        border-radius: 8px;
+        font: inherit;
+        background: transparent;
+        color: inherit;
+      }
+      .snooze-buttons { display: flex; gap: 8px; align-items: center; justify-content: center; margin-top: 8px; }
+      .snooze-buttons button { padding: 6px 12px; font-size: 13px; }
+      .friction { margin: -8px 0 20px; font-size: 14px; }
+      .friction[hidden] { display: none; }
+      .friction input { margin-top: 8px; }
+    </style>
+    <div class="backdrop" role="alertdialog" aria-modal="true" aria-labelledby="dgd-title">
+      <div class="card">
+        <div class="icon"></div>
+        <h1 id="dgd-title"></h1>
+        <p></p>
+        <div class="friction" hidden>
+          <div class="friction-hint"></div>
+          <input type="text" autocomplete="off" spellcheck="false">
+        </div>
+        <div class="actions">
+          <button class="primary" data-action="acknowledge">Get Back to Work</button>
+          <button class="secondary" data-action="dismiss">Close</button>
+        </div>
+        <div class="snooze">
+          <input type="text" maxlength="200" placeholder="Doing this on purpose? Why (e.g. research, break)">
+          <div class="snooze-buttons">
+            <span>Snooze for</span>
+            <button class="secondary" data-minutes="10">10 min</button>
+            <button class="secondary" data-minutes="30">30 min</button>
+            <button class="secondary" data-minutes="60">60 min</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+  // Page-provided text never goes through innerHTML
+  root.querySelector('.icon').textContent = style.icon;
+  root.querySelector('h1').textContent = style.title;
+  root.querySelector('p').textContent = options.message;
+  root.querySelector('.snooze').hidden = !options.snooze;
+
+  const closeBtn = root.querySelector('[data-action="dismiss"]');
+  const snoozeBtns = root.querySelectorAll('[data-minutes]');
+  let locked = false;
+  // Snoozing is a way out too, so it is locked along with "Close"
+  const setLocked = (value) => {
+    locked = value;
+    closeBtn.disabled = value;
+    snoozeBtns.forEach((btn) => {
+      btn.disabled = value;
+    });
+  };
+  let countdownTimer = null;
+  if (options.friction) {
+    const { phrase, seconds } = options.friction;
+    const frictionEl = root.querySelector('.friction');
+    const hintEl = root.querySelector('.friction-hint');
+    const input = root.querySelector('.friction input');
+    let remaining = seconds;
+
+    const unlock = () => {
+      setLocked(false);
+      clearInterval(countdownTimer);
+      hintEl.textContent = 'You can close this now.';
+      input.hidden = true;
+    };
+    const updateHint = () => {
+      const wait = remaining > 0 ? ` or wait ${remaining}s` : '';
+      hintEl.textContent = phrase ? `Type "${phrase}" to close${wait}.` : `You can close this in ${remaining}s.`;
+    };
+
+    setLocked(true);
+    frictionEl.hidden = false;
+    input.hidden = !phrase;
+    input.addEventListener('input', () => {
+      if (phrase && input.value.trim().toLowerCase() === phrase.trim().toLowerCase()) unlock();
+    });
+    if (remaining > 0) {
+      updateHint();
+      countdownTimer = setInterval(() => {
+        remaining -= 1;
+        if (remaining <= 0) {
+          unlock();
+        } else {
+          updateHint();
+        }
+      }, 1000);
+    } else if (phrase) {
+      updateHint();
+    } else {
+      unlock();
+    }
+  }
+
+  const remove = () => {
+    clearInterval(countdownTimer);
+    document.removeEventListener('play', pauseMedia, true);
+    document.removeEventListener('keydown', onKeydown, true);
+    host.remove();
+    window.dgdRemoveAlertOverlay = null;
+  };
+  window.dgdRemoveAlertOverlay = remove;
+
+  const close = (type, extra = {}) => {
+    remove();
+    chrome.runtime.sendMessage({ type, siteId: options.siteId, ...extra }, () => {
+      // The worker may have restarted; nothing to do either way
+      void chrome.runtime.lastError;
+    });
+  };
+  const onKeydown = (e) => {
+    if (e.key === 'Escape' && !locked) {
+      e.stopPropagation();
+      close('alert_dismissed');
+    }
+  };
+  document.addEventListener('keydown', onKeydown, true);
+
+  root.querySelector('[data-action="acknowledge"]').addEventListener('click', () => close('alert_acknowledged'));
+  closeBtn.addEventListener('click', () => {
+    if (!locked) close('alert_dismissed');
+  });
+  snoozeBtns.forEach((btn) => {
+    btn.addEventListener('click', () => {
+      if (locked) return;
+      const reason = root.querySelector('.snooze input').value.trim();
+      close('alert_snoozed', { minutes: parseInt(btn.dataset.minutes, 10), reason });
+    });
+  });
+
+  (document.body || document.documentElement).appendChild(host);
+  root.querySelector('.primary').focus();
+}
@@ -0,0 +1,351 @@
+// backup.js - Versioned JSON export/import of settings and history, plus CSV export
+//
+// Exports are { format, version, exportedAt, settings, history } where history
+// holds the raw per-day buckets from history.js. Older files are upgraded one
+// version at a time through EXPORT_MIGRATIONS before they are validated.
+
+import { validateSitePatterns } from './matchers.js';
+import { getHistoryDay, loadHistory } from './history.js';
+
+export const EXPORT_FORMAT = 'dont-get-distracted-export';
+export const EXPORT_VERSION = 2;
+
+const EXPORT_MIGRATIONS = {
+  // Version 0 is a bare settings object, as copied out of chrome.storage
+  // before exports existed
+  0: (data) => ({
+    format: EXPORT_FORMAT,
+    version: 1,
+    exportedAt: null,
+    settings: data,
+    history: {},
+  }),
+  // Version 1 files predate site groups, the allowlist and the escalation
+  // ladder. They come in with no groups, an empty allowlist and escalation
+  // switched off; everything else, strict mode included, is kept as it was.
+  1: (data) => ({
+    ...data,
+    version: 2,
+    settings: data.settings && typeof data.settings === 'object' && !Array.isArray(data.settings)
+      ? {
+        groups: [],
+        allowlist: [],
+        escalation: { enabled: false },
+        ...data.settings,
+      }
+      : data.settings,
+  }),
+};
+
+// Rows added in settings but never filled in have a blank pattern. They do
+// nothing, so exports leave them out and imports skip them.
+function isBlankRow(entry) {
+  return !!entry && typeof entry === 'object' && typeof entry.pattern === 'string' && !entry.pattern.trim();
+}
+
+function dropBlankRows(settings) {
+  const skipped = (settings.trackedSites || []).filter(isBlankRow).length
+    + (settings.allowlist || []).filter(isBlankRow).length;
+  return {
+    settings: {
+      ...settings,
+      ...(Array.isArray(settings.trackedSites) ? { trackedSites: settings.trackedSites.filter((site) => !isBlankRow(site)) } : {}),
+      ...(Array.isArray(settings.allowlist) ? { allowlist: settings.allowlist.filter((entry) => !isBlankRow(entry)) } : {}),
+    },
+    skipped,
+  };
+}
+
+/**
+ * Builds the export object for the current settings and history buckets
+ */
+export function buildExport(settings, historyDays) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: dropBlankRows(settings).settings,
+    history: historyDays || {},
+  };
+}
+
+function getExportVersion(data) {
+  if (data.format === EXPORT_FORMAT) {
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      throw new Error('Export file has an invalid version');
+    }
+    return data.version;
+  }
+  if (Array.isArray(data.trackedSites) || 'threshold' in data) {
+    return 0;
+  }
+  throw new Error('This is not a Don\'t Get Distracted export file');
+}
+
+export function migrateExport(data) {
+  let version = getExportVersion(data);
+  if (version > EXPORT_VERSION) {
+    throw new Error('This file was exported by a newer version of the extension. Please update first.');
+  }
+
+  let migrated = data;
+  while (version < EXPORT_VERSION) {
+    migrated = EXPORT_MIGRATIONS[version](migrated);
+    version = migrated.version;
+  }
+  return migrated;
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function validateSchedule(schedule, label) {
+  if (schedule === null || schedule === undefined) return;
+  if (typeof schedule !== 'object' || !Array.isArray(schedule.days) || schedule.days.length !== 7) {
+    throw new Error(`${label}: schedule must list windows for all 7 days`);
+  }
+  for (const windows of schedule.days) {
+    if (!Array.isArray(windows) || !windows.every((w) => w
+      && isNonNegativeNumber(w.start) && w.start <= 1440
+      && isNonNegativeNumber(w.end) && w.end <= 1440)) {
+      throw new Error(`${label}: schedule has an invalid time window`);
+    }
+  }
+}
+
+function validateTrackedSite(site, index) {
+  const label = `Tracked site ${index + 1}`;
+  if (!site || typeof site !== 'object') {
+    throw new Error(`${label} is not an object`);
+  }
+  if (typeof site.pattern !== 'string' || !site.pattern.trim()) {
+    throw new Error(`${label} needs a pattern`);
+  }
+  if (typeof site.id !== 'string' || !site.id) {
+    throw new Error(`${label} needs an id`);
+  }
+  if (site.timeThreshold !== undefined && !isNonNegativeNumber(site.timeThreshold)) {
+    throw new Error(`${label}: time limit must be a positive number of minutes`);
+  }
+  if (site.threshold !== undefined && site.threshold !== null && !(Number.isInteger(site.threshold) && site.threshold >= 1)) {
+    throw new Error(`${label}: threshold must be a whole number of at least 1`);
+  }
+  if (site.alertMessage !== undefined && site.alertMessage !== null && typeof site.alertMessage !== 'string') {
+    throw new Error(`${label}: alert message must be text`);
+  }
+  if (site.alertStyle !== undefined && typeof site.alertStyle !== 'string') {
+    throw new Error(`${label}: alert style is invalid`);
+  }
+  if (site.exclude !== undefined && !(Array.isArray(site.exclude) && site.exclude.every((p) => typeof p === 'string'))) {
+    throw new Error(`${label}: exclusions must be a list of patterns`);
+  }
+  const patternErrors = validateSitePatterns(site);
+  if (patternErrors.length > 0) {
+    throw new Error(`${label}: ${patternErrors[0]}`);
+  }
+  if (site.presetId !== undefined && typeof site.presetId !== 'string') {
+    throw new Error(`${label}: preset id must be text`);
+  }
+  validateBudget(site.budget, label);
+  validateSchedule(site.schedule, label);
+}
+
+function validateBudget(budget, label) {
+  if (!budget) return;
+  const { period, visits = 0, minutes = 0 } = budget;
+  if (!['day', 'week'].includes(period) || !isNonNegativeNumber(visits) || !isNonNegativeNumber(minutes)) {
+    throw new Error(`${label}: budget is invalid`);
+  }
+}
+
+function validateGroup(group, index) {
+  const label = `Group ${index + 1}`;
+  if (!group || typeof group !== 'object') {
+    throw new Error(`${label} is not an object`);
+  }
+  if (typeof group.id !== 'string' || !group.id) {
+    throw new Error(`${label} needs an id`);
+  }
+  if (typeof group.name !== 'string' || !group.name.trim()) {
+    throw new Error(`${label} needs a name`);
+  }
+  if (group.threshold !== undefined && group.threshold !== null && !(Number.isInteger(group.threshold) && group.threshold >= 1)) {
+    throw new Error(`${label}: threshold must be a whole number of at least 1`);
+  }
+  if (group.alertMessage !== undefined && group.alertMessage !== null && typeof group.alertMessage !== 'string') {
+    throw new Error(`${label}: alert message must be text`);
+  }
+  validateBudget(group.budget, label);
+}
+
+function validateAllowlistEntry(entry, index) {
+  const label = `Allowlist entry ${index + 1}`;
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${label} is not an object`);
+  }
+  if (typeof entry.pattern !== 'string' || !entry.pattern.trim()) {
+    throw new Error(`${label} needs a pattern`);
+  }
+  const patternErrors = validateSitePatterns(entry);
+  if (patternErrors.length > 0) {
+    throw new Error(`${label}: ${patternErrors[0]}`);
+  }
+}
+
+/**
+ * Throws with a readable message if imported settings don't match the schema.
+ * Fields this version doesn't know about are left alone.
+ */
+export function validateSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Settings are missing');
+  }
+  if (settings.threshold !== undefined && !(Number.isInteger(settings.threshold) && settings.threshold >= 1)) {
+    throw new Error('Threshold must be a whole number of at least 1');
+  }
+  if (settings.alertMessage !== undefined && typeof settings.alertMessage !== 'string') {
+    throw new Error('Alert message must be text');
+  }
+  if (settings.alertDelivery !== undefined && !['overlay', 'tab', 'notification'].includes(settings.alertDelivery)) {
+    throw new Error('Alert delivery must be "overlay", "tab" or "notification"');
+  }
+  if (!Array.isArray(settings.trackedSites)) {
+    throw new Error('Tracked sites must be a list');
+  }
+  settings.trackedSites.forEach(validateTrackedSite);
+
+  const ids = settings.trackedSites.map((site) => site.id);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('Tracked site ids must be unique');
+  }
+
+  if (settings.groups !== undefined) {
+    if (!Array.isArray(settings.groups)) {
+      throw new Error('Groups must be a list');
+    }
+    settings.groups.forEach(validateGroup);
+  }
+  // Groups share usage buckets with sites, so their ids can't overlap either
+  const groupIds = (settings.groups || []).map((group) => group.id);
+  if (new Set([...ids, ...groupIds]).size !== ids.length + groupIds.length) {
+    throw new Error('Group ids must be unique');
+  }
+  settings.trackedSites.forEach((site, index) => {
+    if (site.groupId && !groupIds.includes(site.groupId)) {
+      throw new Error(`Tracked site ${index + 1} belongs to a group that doesn't exist`);
+    }
+  });
+
+  if (settings.presets !== undefined) {
+    const { categories = [], dismissed = [] } = settings.presets || {};
+    if (!Array.isArray(categories) || !Array.isArray(dismissed)) {
+      throw new Error('Preset library state is invalid');
+    }
+  }
+
+  if (settings.allowlist !== undefined) {
+    if (!Array.isArray(settings.allowlist)) {
+      throw new Error('Allowlist must be a list');
+    }
+    settings.allowlist.forEach(validateAllowlistEntry);
+  }
+
+  if (settings.budgetReset) {
+    const { hour, weekStartDay } = settings.budgetReset;
+    if (!(Number.isInteger(hour) && hour >= 0 && hour <= 23) || !(Number.isInteger(weekStartDay) && weekStartDay >= 0 && weekStartDay <= 6)) {
+      throw new Error('Budget reset time is invalid');
+    }
+  }
+  if (settings.gate && !isNonNegativeNumber(settings.gate.delaySeconds)) {
+    throw new Error('Mindful gate delay is invalid');
+  }
+  if (settings.escalation) {
+    const { steps = [], frictionSeconds = 0, blockMinutes = 1 } = settings.escalation;
+    const validSteps = ['toast', 'page', 'friction', 'block'];
+    if (!Array.isArray(steps) || !steps.every((step) => validSteps.includes(step))) {
+      throw new Error('Escalation steps are invalid');
+    }
+    if (!isNonNegativeNumber(frictionSeconds) || !isNonNegativeNumber(blockMinutes)) {
+      throw new Error('Escalation timings are invalid');
+    }
+  }
+  if (settings.strictMode && !isNonNegativeNumber(settings.strictMode.cooldownMinutes)) {
+    throw new Error('Strict mode cooldown is invalid');
+  }
+  validateSchedule(settings.schedule, 'Tracking schedule');
+}
+
+function validateHistoryDays(history) {
+  if (!history || typeof history !== 'object' || Array.isArray(history)) {
+    throw new Error('History must be an object of days');
+  }
+  for (const [day, events] of Object.entries(history)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      throw new Error(`History has an invalid day: ${day}`);
+    }
+    if (!Array.isArray(events) || !events.every((e) => Array.isArray(e) && isNonNegativeNumber(e[0]) && typeof e[1] === 'string')) {
+      throw new Error(`History for ${day} is malformed`);
+    }
+  }
+}
+
+/**
+ * Parses, migrates and validates an export file's text. Throws on bad input.
+ * Returns { settings, history, skipped } where skipped counts the blank rows
+ * left out.
+ */
+export function parseImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('File is not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('This is not a Don\'t Get Distracted export file');
+  }
+
+  const migrated = migrateExport(data);
+  if (!migrated.settings || typeof migrated.settings !== 'object' || Array.isArray(migrated.settings)) {
+    throw new Error('Settings are missing');
+  }
+  const { settings, skipped } = dropBlankRows(migrated.settings);
+  validateSettings(settings);
+  validateHistoryDays(migrated.history || {});
+
+  return { settings, history: migrated.history || {}, skipped };
+}
+
+// Spreadsheets run cells starting with these as formulas
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (CSV_FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turns history events (from loadHistory) into CSV with one row per event
+ */
+export function historyToCsv(events, sites) {
+  const patterns = Object.fromEntries((sites || []).map((site) => [site.id, site.pattern]));
+  const rows = [['date', 'time', 'event', 'site_id', 'site_pattern', 'detail']];
+
+  for (const event of events) {
+    const date = new Date(event.time);
+    rows.push([
+      getHistoryDay(date),
+      date.toTimeString().slice(0, 8),
+      event.type,
+      event.site || '',
+      patterns[event.site] || '',
+      event.detail === null || typeof event.detail !== 'object' ? event.detail : JSON.stringify(event.detail),
+    ]);
+  }
+
+  return rows.map((row) => row.map(escapeCsvField).join(',')).join('\r\n');
+}
@@ -0,0 +1,85 @@
+// features.js - What the basic (unlicensed) and premium tiers can do, shared by the background worker and pages
+//
+// Every feature names the lowest tier that has it. Basic users are tracked on
+// the three default sites with a fixed threshold and the plain alert; the
+// background applies the same limits through applyTierLimits() so the stored
+// settings are kept intact for when a license is activated again.
+
+export const TIERS = {
+  BASIC: 'basic',
+  PREMIUM: 'premium',
+};
+
+const TIER_ORDER = [TIERS.BASIC, TIERS.PREMIUM];
+
+export const FEATURES = {
+  tracking: TIERS.BASIC,
+  darkMode: TIERS.BASIC,
+  customSites: TIERS.PREMIUM, // adding/editing sites, groups and presets
+  allowlist: TIERS.PREMIUM,
+  customThreshold: TIERS.PREMIUM,
+  alertCustomization: TIERS.PREMIUM, // message, delivery and per-site styles
+  escalation: TIERS.PREMIUM,
+  budgets: TIERS.PREMIUM,
+  scheduling: TIERS.PREMIUM,
+  strictMode: TIERS.PREMIUM,
+  gate: TIERS.PREMIUM,
+  snooze: TIERS.PREMIUM,
+  pause: TIERS.PREMIUM,
+  focus: TIERS.PREMIUM,
+  stats: TIERS.PREMIUM,
+  backup: TIERS.PREMIUM,
+};
+
+export const BASIC_THRESHOLD = 10;
+
+export const BASIC_SITES = [
+  { pattern: 'youtube.com/shorts/*', enabled: true, id: 'youtube_shorts' },
+  { pattern: 'tiktok.com/*', enabled: true, id: 'tiktok' },
+  { pattern: 'instagram.com/*', enabled: true, id: 'instagram' },
+];
+
+export function getTier(hasValidLicense) {
+  return hasValidLicense ? TIERS.PREMIUM : TIERS.BASIC;
+}
+
+/**
+ * Checks whether a tier includes a feature. Unknown features are premium.
+ */
+export function hasFeature(tier, feature) {
+  const required = FEATURES[feature] || TIERS.PREMIUM;
+  return TIER_ORDER.indexOf(tier) >= TIER_ORDER.indexOf(required);
+}
+
+export const PREMIUM_FEATURE_ERROR = 'This is a premium feature. Activate a license to use it.';
+
+/**
+ * For message handlers: null when the tier has the feature, otherwise the
+ * error response to send back.
+ */
+export function requireFeature(tier, feature) {
+  return hasFeature(tier, feature) ? null : { ok: false, error: PREMIUM_FEATURE_ERROR };
+}
+
+/**
+ * Returns the settings the tier actually runs with. Premium gets them as
+ * stored; basic gets the default sites and threshold with every premium
+ * option switched off.
+ */
+export function applyTierLimits(settings, tier) {
+  if (tier === TIERS.PREMIUM) return settings;
+
+  return {
+    ...settings,
+    threshold: BASIC_THRESHOLD,
+    alertMessage: null,
+    alertDelivery: 'overlay',
+    gate: { ...(settings.gate || {}), enabled: false },
+    escalation: { ...(settings.escalation || {}), enabled: false },
+    strictMode: { ...(settings.strictMode || {}), enabled: false },
+    schedule: { ...(settings.schedule || {}), enabled: false },
+    trackedSites: BASIC_SITES.map((site) => ({ ...site })),
+    groups: [],
+    allowlist: [],
+  };
+}
@@ -0,0 +1,161 @@
+// history.js - Persistent event log kept in compact per-day chrome.storage.local buckets
+//
+// Each local day lives under "history_YYYY-MM-DD" as a list of
+// [secondsSinceMidnight, typeCode, siteId, detail?] tuples, and "history_days"
+// indexes which days exist. Only the background worker writes; pages read.
+
+export const HISTORY_KEY_PREFIX = 'history_';
+export const HISTORY_INDEX_KEY = 'history_days';
+export const HISTORY_RETENTION_DAYS = 90;
+
+export const HISTORY_TYPE_CODES = {
+  visit: 'v',
+  alert: 'a',
+  acknowledge: 'k',
+  dismiss: 'd',
+  snooze: 's',
+  intention: 'i',
+  pause: 'p',
+  resume: 'r',
+};
+
+const HISTORY_TYPES_BY_CODE = Object.fromEntries(
+  Object.entries(HISTORY_TYPE_CODES).map(([type, code]) => [code, type])
+);
+
+/**
+ * Formats a date as the local YYYY-MM-DD day used for bucket keys
+ */
+export function getHistoryDay(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns local midnight for a YYYY-MM-DD day
+ */
+export function parseHistoryDay(day) {
+  const [year, month, date] = day.split('-').map((part) => parseInt(part, 10));
+  return new Date(year, month - 1, date);
+}
+
+// Appends are read-modify-write, so they run one at a time
+let historyWriteQueue = Promise.resolve();
+
+/**
+ * Records an event such as a counted visit or an alert. Resolves once stored.
+ */
+export function recordHistoryEvent(type, siteId, detail, time = Date.now()) {
+  const run = historyWriteQueue.then(() => appendHistoryEvent(type, siteId, detail, time));
+  historyWriteQueue = run.catch((error) => {
+    console.error('Error recording history event:', error);
+  });
+  return run;
+}
+
+async function appendHistoryEvent(type, siteId, detail, time) {
+  const code = HISTORY_TYPE_CODES[type];
+  if (!code) {
+    throw new Error(`Unknown history event type: ${type}`);
+  }
+
+  const day = getHistoryDay(new Date(time));
+  const key = HISTORY_KEY_PREFIX + day;
+  const data = await chrome.storage.local.get([key, HISTORY_INDEX_KEY]);
+
+  const entry = [Math.round((time - parseHistoryDay(day).getTime()) / 1000), code, siteId || null];
+  if (detail !== undefined && detail !== null) {
+    entry.push(detail);
+  }
+
+  const events = data[key] || [];
+  events.push(entry);
+
+  const update = { [key]: events };
+  let expiredDays = [];
+  const days = data[HISTORY_INDEX_KEY] || [];
+  if (!days.includes(day)) {
+    const cutoff = new Date(time);
+    cutoff.setDate(cutoff.getDate() - HISTORY_RETENTION_DAYS);
+    const oldestKept = getHistoryDay(cutoff);
+
+    expiredDays = days.filter((d) => d < oldestKept);
+    update[HISTORY_INDEX_KEY] = days.filter((d) => d >= oldestKept).concat(day).sort();
+  }
+
+  await chrome.storage.local.set(update);
+  if (expiredDays.length > 0) {
+    await chrome.storage.local.remove(expiredDays.map((d) => HISTORY_KEY_PREFIX + d));
+  }
+}
+
+/**
+ * Loads events between two dates (inclusive, either may be null for open-ended)
+ * as { time, type, site, detail } objects in chronological order
+ */
+export async function loadHistory(startDate = null, endDate = null) {
+  const { [HISTORY_INDEX_KEY]: days = [] } = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+  const first = startDate ? getHistoryDay(startDate) : null;
+  const last = endDate ? getHistoryDay(endDate) : null;
+  const wanted = days.filter((d) => (!first || d >= first) && (!last || d <= last));
+  if (wanted.length === 0) return [];
+
+  const data = await chrome.storage.local.get(wanted.map((d) => HISTORY_KEY_PREFIX + d));
+  const events = [];
+  for (const day of wanted) {
+    const midnight = parseHistoryDay(day).getTime();
+    for (const [seconds, code, site, detail] of data[HISTORY_KEY_PREFIX + day] || []) {
+      events.push({
+        time: midnight + seconds * 1000,
+        type: HISTORY_TYPES_BY_CODE[code] || code,
+        site,
+        detail: detail === undefined ? null : detail,
+      });
+    }
+  }
+
+  return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Returns the raw per-day buckets, keyed by YYYY-MM-DD, for exports
+ */
+export async function loadHistoryDays() {
+  const { [HISTORY_INDEX_KEY]: days = [] } = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+  if (days.length === 0) return {};
+
+  const data = await chrome.storage.local.get(days.map((d) => HISTORY_KEY_PREFIX + d));
+  return Object.fromEntries(days.map((d) => [d, data[HISTORY_KEY_PREFIX + d] || []]));
+}
+
+/**
+ * Merges imported per-day buckets into the log, skipping events that are
+ * already present so importing the same file twice changes nothing
+ */
+export function importHistoryDays(importedDays) {
+  const run = historyWriteQueue.then(() => mergeHistoryDays(importedDays));
+  historyWriteQueue = run.catch((error) => {
+    console.error('Error importing history:', error);
+  });
+  return run;
+}
+
+async function mergeHistoryDays(importedDays) {
+  const importedKeys = Object.keys(importedDays).map((d) => HISTORY_KEY_PREFIX + d);
+  const data = await chrome.storage.local.get([HISTORY_INDEX_KEY, ...importedKeys]);
+  const days = new Set(data[HISTORY_INDEX_KEY] || []);
+  const update = {};
+
+  for (const [day, events] of Object.entries(importedDays)) {
+    const key = HISTORY_KEY_PREFIX + day;
+    const existing = data[key] || [];
+    const seen = new Set(existing.map((entry) => JSON.stringify(entry)));
+    const merged = existing.concat(events.filter((entry) => !seen.has(JSON.stringify(entry))));
+    update[key] = merged.sort((a, b) => a[0] - b[0]);
+    days.add(day);
+  }
+
+  update[HISTORY_INDEX_KEY] = [...days].sort();
+  await chrome.storage.local.set(update);
+}
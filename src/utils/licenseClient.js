@@ -0,0 +1,60 @@
+// licenseClient.js - License status for extension pages, answered by the background worker
+//
+// The background worker is the only context that reads the license backend.
+// Pages ask it for the status and subscribe to its "license_status"
+// broadcasts instead of validating on their own.
+
+function sendLicenseMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+export const licenseClient = {
+  /**
+   * Resolves to { valid, key, expiresAt } for the stored license
+   */
+  getStatus() {
+    return sendLicenseMessage({ type: 'get_license_status' });
+  },
+
+  async hasValidLicense() {
+    try {
+      const status = await this.getStatus();
+      return !!(status && status.valid);
+    } catch (error) {
+      console.error('Error getting license status:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Validates a key through the background. Resolves to { valid, message, expiresAt }.
+   */
+  activate(key) {
+    return sendLicenseMessage({ type: 'activate_license', key });
+  },
+
+  deactivate() {
+    return sendLicenseMessage({ type: 'deactivate_license' });
+  },
+
+  /**
+   * Calls back with the new status whenever it changes. Returns an unsubscribe function.
+   */
+  onChange(callback) {
+    const listener = (message) => {
+      if (message && message.type === 'license_status') {
+        callback(message.status);
+      }
+    };
+    chrome.runtime.onMessage.addListener(listener);
+    return () => chrome.runtime.onMessage.removeListener(listener);
+  },
+};
@@ -1,56 +1,44 @@
-class LicenseManager {
-  constructor() {
-    this.API_BASE_URL = 'https://licensecheckerwhop.abhishek1317.workers.dev';
+// licenseManager.js - License validation and storage, owned by the background worker
+//
+// Validation goes through a provider (see licenseProviders.js); the
+// result is cached under "whop_license" in chrome.storage.local. Only the
+// background worker uses this class; pages go through licenseClient.js.
+
+import { getLicenseProvider } from './licenseProviders.js';
+
+const INSTALL_ID_KEY = 'license_install_id';
+
+export class LicenseManager {
+  /**
+   * Pass a provider to pin one (e.g. in tests); by default the provider named
+   * in storage is looked up on every request.
+   */
+  constructor(provider = null) {
+    this.provider = provider;
     this.CACHE_DURATION = 60 * 60 * 1000; // 1 hour in milliseconds
     this.OFFLINE_GRACE_PERIOD = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
   }
 
-  /**
-   * Generates a hardware ID (HWID) using browser fingerprinting
-   */
-  async generateHWID() {
-    // Collect various browser fingerprinting parameters
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    if (ctx) {
-      ctx.textBaseline = 'top';
-      ctx.font = '14px Arial';
-      ctx.fillText('LicenseCheck', 2, 2);
-    }
-    
-    const fingerprintData = {
-      userAgent: navigator.userAgent,
-      language: navigator.language,
-      platform: navigator.platform,
-      hardwareConcurrency: navigator.hardwareConcurrency,
-      screenResolution: `${screen.width}x${screen.height}`,
-      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-      canvas: canvas ? canvas.toDataURL() : '',
-      webgl: this.getWebGLFingerprint(),
-    };
-
-    // Create a hash of the fingerprint data
-    const fingerprintString = JSON.stringify(fingerprintData);
-    return this.sha256(fingerprintString);
+  getProvider() {
+    return this.provider ? Promise.resolve(this.provider) : getLicenseProvider();
   }
 
   /**
-   * Gets WebGL fingerprint for additional entropy
+   * Returns this install's hardware ID (HWID), the device the backend binds a
+   * license to. It is a random ID kept in storage rather than a browser
+   * fingerprint, because the service worker has no canvas, WebGL or screen
+   * to fingerprint.
    */
-  getWebGLFingerprint() {
-    try {
-      const canvas = document.createElement('canvas');
-      const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-      
-      if (!gl) return 'no-webgl';
-      
-      const renderer = gl.getParameter(gl.RENDERER);
-      const vendor = gl.getParameter(gl.VENDOR);
-      
-      return `${renderer}-${vendor}`;
-    } catch (e) {
-      return 'webgl-error';
-    }
+  async generateHWID() {
+    const { [INSTALL_ID_KEY]: installId } = await chrome.storage.local.get(INSTALL_ID_KEY);
+    if (installId) return installId;
+
+    // Activations from before install IDs are bound to their fingerprint hash;
+    // adopting it keeps the backend recognizing this device
+    const storedLicense = await this.getStoredLicense();
+    const hwid = (storedLicense && storedLicense.hwid) || await this.sha256(crypto.randomUUID());
+    await chrome.storage.local.set({ [INSTALL_ID_KEY]: hwid });
+    return hwid;
   }
 
   /**
@@ -70,19 +58,8 @@ class LicenseManager {
     try {
       const hwid = await this.generateHWID();
       
-      const response = await fetch(`${this.API_BASE_URL}/api/validate-license`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ licenseKey: key, hwid }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const provider = await this.getProvider();
+      const data = await provider.request('/api/validate-license', { licenseKey: key, hwid });
       
       // Store the license data in chrome.storage.local
       const licenseData = {
@@ -144,17 +121,22 @@ class LicenseManager {
       }
     }
 
-    // Check if cache is still valid (revalidate if needed)
-    if (this.isCacheExpired(licenseData)) {
-      // Try to revalidate in background
-      this.validateLicenseKey(licenseData.key).catch(error => {
-        console.error('Background validation failed:', error);
-      });
-    }
-
     return true;
   }
 
+  /**
+   * Asks the backend about the stored license again once the cached answer is
+   * older than CACHE_DURATION. The background worker calls this on a schedule;
+   * pages get the result through its status broadcasts.
+   */
+  async revalidateIfStale() {
+    const licenseData = await this.getStoredLicense();
+    if (!licenseData || !licenseData.valid || !this.isCacheExpired(licenseData)) {
+      return;
+    }
+    await this.validateLicenseKey(licenseData.key);
+  }
+
   /**
    * Retrieves stored license data from chrome.storage.local
    */
@@ -223,8 +205,3 @@ class LicenseManager {
     return now <= gracePeriodExpiryTime;
   }
 }
-
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = LicenseManager;
-}
\ No newline at end of file
@@ -0,0 +1,104 @@
+// licenseProviders.js - License backends, all speaking the license worker's contract
+//
+// A provider is { name, request(path, body) }. request() POSTs to
+//   /api/validate-license  { licenseKey, hwid } -> { valid, message?, expiresAt? }
+// and resolves to the parsed response. Licenses are freed from a device on
+// the Whop dashboard, never from the extension. It throws when the backend can't be
+// reached, so LicenseManager can fall back to the cached license.
+//
+// The backend in use is picked by the "license_provider" storage key; run
+//   chrome.storage.local.set({ license_provider: 'local' })
+// in any extension console to test licensing offline.
+
+export const LICENSE_WORKER_URL = 'https://licensecheckerwhop.abhishek1317.workers.dev';
+export const LICENSE_PROVIDER_KEY = 'license_provider';
+export const DEFAULT_LICENSE_PROVIDER = 'worker';
+
+/**
+ * The Cloudflare worker that checks keys against Whop
+ */
+export function createWorkerProvider(baseUrl = LICENSE_WORKER_URL) {
+  return {
+    name: 'worker',
+    async request(path, body) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return response.json();
+    },
+  };
+}
+
+const TEST_BINDINGS_KEY = 'license_test_bindings';
+const TEST_KEY_PREFIX = 'TEST-';
+const EXPIRED_KEY_PREFIX = 'EXPIRED-';
+
+/**
+ * An in-extension stand-in for the worker. Keys starting with "TEST-" are
+ * valid and, like real keys, bind to the first device that validates them
+ * (remove "license_test_bindings" to free them); "EXPIRED-" keys come back
+ * expired; anything else is invalid.
+ */
+export function createLocalTestProvider() {
+  async function getBindings() {
+    const { [TEST_BINDINGS_KEY]: bindings = {} } = await chrome.storage.local.get(TEST_BINDINGS_KEY);
+    return bindings;
+  }
+
+  async function validate({ licenseKey, hwid }) {
+    if (!licenseKey) {
+      return { valid: false, message: 'License key is required' };
+    }
+    if (licenseKey.startsWith(EXPIRED_KEY_PREFIX)) {
+      return { valid: false, message: 'License has expired', expiresAt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() };
+    }
+    if (!licenseKey.startsWith(TEST_KEY_PREFIX)) {
+      return { valid: false, message: 'Invalid license key' };
+    }
+
+    const bindings = await getBindings();
+    if (bindings[licenseKey] && bindings[licenseKey] !== hwid) {
+      return { valid: false, message: 'License is already in use on another device' };
+    }
+    await chrome.storage.local.set({ [TEST_BINDINGS_KEY]: { ...bindings, [licenseKey]: hwid } });
+    return { valid: true, message: 'License is valid', expiresAt: null };
+  }
+
+  const routes = {
+    '/api/validate-license': validate,
+  };
+
+  return {
+    name: 'local',
+    async request(path, body) {
+      const route = routes[path];
+      if (!route) {
+        throw new Error(`Unknown license endpoint: ${path}`);
+      }
+      return route(body || {});
+    },
+  };
+}
+
+export const LICENSE_PROVIDERS = {
+  worker: () => createWorkerProvider(),
+  local: createLocalTestProvider,
+};
+
+/**
+ * Creates the provider named in storage, or the worker when none is set
+ */
+export async function getLicenseProvider() {
+  const { [LICENSE_PROVIDER_KEY]: name } = await chrome.storage.local.get(LICENSE_PROVIDER_KEY);
+  const create = LICENSE_PROVIDERS[name] || LICENSE_PROVIDERS[DEFAULT_LICENSE_PROVIDER];
+  return create();
+}
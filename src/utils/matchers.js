@@ -0,0 +1,215 @@
+// matchers.js - URL matchers for tracked sites, shared by the background worker and settings
+//
+// Every tracked site has a matchType that decides how its pattern and its
+// exclusion patterns are read:
+//   glob       - "*" wildcards against host + path, with or without "www."
+//   regex      - a regular expression tested against the full URL
+//   host       - a host name, matching it and every subdomain on any port
+//   urlpattern - a URL Pattern API pattern; the scheme may be left out
+// Exclusions use the same match type as the site they belong to.
+
+export const MATCH_TYPES = ['glob', 'regex', 'host', 'urlpattern'];
+
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  const regexString = "^" + escaped.replace(/\*/g, ".*") + "$";
+  return new RegExp(regexString);
+}
+
+export function normalizeHost(pattern) {
+  return pattern.trim().toLowerCase().replace(/^\*\./, '').replace(/^www\./, '');
+}
+
+// Host patterns match host names only; a port written in the pattern is
+// ignored so tracking and the blocking rules agree on every port
+function hostPatternName(pattern) {
+  return normalizeHost(pattern).replace(/:\d+$/, '');
+}
+
+/**
+ * Compiles a single pattern into a function taking a URL object.
+ * Throws with a readable message when the pattern is invalid.
+ */
+export function compileMatcher(matchType, pattern) {
+  const trimmed = (pattern || '').trim();
+  if (!trimmed) {
+    throw new Error('Pattern is empty');
+  }
+
+  switch (matchType || 'glob') {
+    case 'glob': {
+      const regex = wildcardToRegExp(trimmed);
+      return (url) => regex.test(`${url.host}${url.pathname}`)
+        || regex.test(`${url.host.replace(/^www\./, '')}${url.pathname}`);
+    }
+
+    case 'regex': {
+      let regex;
+      try {
+        regex = new RegExp(trimmed, 'i');
+      } catch (e) {
+        throw new Error(`Invalid regular expression: ${e.message}`);
+      }
+      return (url) => regex.test(url.href);
+    }
+
+    case 'host': {
+      if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?$/.test(normalizeHost(trimmed))) {
+        throw new Error('Enter a host name like example.com');
+      }
+      const host = hostPatternName(trimmed);
+      return (url) => {
+        const urlHost = url.hostname.toLowerCase();
+        return urlHost === host || urlHost.endsWith(`.${host}`);
+      };
+    }
+
+    case 'urlpattern': {
+      if (typeof URLPattern === 'undefined') {
+        throw new Error('URL patterns are not supported in this browser');
+      }
+      const withScheme = /^[a-z*][a-z0-9+.*-]*:\/\//i.test(trimmed) ? trimmed : `*://${trimmed}`;
+      let urlPattern;
+      try {
+        urlPattern = new URLPattern(withScheme);
+      } catch (e) {
+        throw new Error(`Invalid URL pattern: ${e.message}`);
+      }
+      return (url) => urlPattern.test(url.href);
+    }
+
+    default:
+      throw new Error(`Unknown match type: ${matchType}`);
+  }
+}
+
+// Compiled matchers keyed by match type, pattern and exclusions
+const siteMatcherCache = new Map();
+const SITE_MATCHER_CACHE_LIMIT = 500;
+
+function getSiteMatcher(site) {
+  const exclude = (site.exclude || []).filter((p) => p && p.trim());
+  const key = JSON.stringify([site.matchType || 'glob', site.pattern, exclude]);
+  let matcher = siteMatcherCache.get(key);
+
+  if (!matcher) {
+    const include = compileMatcher(site.matchType, site.pattern);
+    const excludes = exclude.map((p) => compileMatcher(site.matchType, p));
+    matcher = (url) => include(url) && !excludes.some((excluded) => excluded(url));
+
+    if (siteMatcherCache.size >= SITE_MATCHER_CACHE_LIMIT) {
+      siteMatcherCache.clear();
+    }
+    siteMatcherCache.set(key, matcher);
+  }
+
+  return matcher;
+}
+
+/**
+ * Checks a URL object against a site's pattern and exclusions.
+ * Sites with invalid patterns never match.
+ */
+export function siteMatchesUrl(site, url) {
+  try {
+    return getSiteMatcher(site)(url);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Lists the problems with a site's pattern and exclusions (empty when valid)
+ */
+export function validateSitePatterns(site) {
+  const errors = [];
+  if (!MATCH_TYPES.includes(site.matchType || 'glob')) {
+    errors.push(`Unknown match type: ${site.matchType}`);
+    return errors;
+  }
+
+  try {
+    compileMatcher(site.matchType, site.pattern);
+  } catch (e) {
+    errors.push(`${site.pattern || 'Pattern'}: ${e.message}`);
+  }
+  for (const pattern of site.exclude || []) {
+    try {
+      compileMatcher(site.matchType, pattern);
+    } catch (e) {
+      errors.push(`Exclusion ${pattern}: ${e.message}`);
+    }
+  }
+  return errors;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Converts a pattern into a full-URL regex for declarativeNetRequest rules,
+ * or null when the match type can't be expressed that way
+ */
+export function patternToUrlRegex(matchType, pattern) {
+  const trimmed = (pattern || '').trim();
+
+  switch (matchType || 'glob') {
+    case 'glob':
+      return `^https?://(www\\.)?${escapeRegex(trimmed).replace(/\*/g, ".*")}([?#].*)?$`;
+    case 'regex':
+      return trimmed;
+    case 'host':
+      return `^https?://([^/?#]*\\.)?${escapeRegex(hostPatternName(trimmed))}(:[0-9]+)?([/?#].*)?$`;
+    default:
+      return null;
+  }
+}
+
+// Second-level labels that belong to the public suffix, as in example.co.uk
+const SHORT_SECOND_LEVEL_LABELS = ['co', 'com', 'net', 'org', 'gov', 'edu', 'ac'];
+
+/**
+ * Guesses the registrable domain of a host (news.example.co.uk -> example.co.uk)
+ */
+export function getBaseDomain(host) {
+  const labels = host.split('.');
+  if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) return host;
+  const keep = labels[labels.length - 1].length === 2 && SHORT_SECOND_LEVEL_LABELS.includes(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+/**
+ * Proposes patterns for a page URL, narrowest first, as
+ * { scope, label, pattern, matchType } with scope one of
+ * 'page', 'path', 'host' and 'subdomains'. Scopes that would repeat a
+ * broader one are left out; non-web URLs get no suggestions.
+ */
+export function suggestPatterns(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch (e) {
+    return [];
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return [];
+
+  const host = normalizeHost(u.host);
+  const path = u.pathname.replace(/\/+$/, '');
+  const suggestions = [];
+
+  if (path) {
+    suggestions.push({ scope: 'page', label: 'This page', pattern: `${host}${u.pathname}`, matchType: 'glob' });
+    const parent = path.slice(0, path.lastIndexOf('/'));
+    if (parent) {
+      suggestions.push({ scope: 'path', label: `Everything under ${parent}/`, pattern: `${host}${parent}/*`, matchType: 'glob' });
+    }
+  }
+  suggestions.push({ scope: 'host', label: `All of ${host}`, pattern: `${host}/*`, matchType: 'glob' });
+
+  // Host patterns match on any port, so the port is left out
+  const baseDomain = getBaseDomain(normalizeHost(u.hostname));
+  suggestions.push({ scope: 'subdomains', label: `${baseDomain} and all subdomains`, pattern: baseDomain, matchType: 'host' });
+
+  return suggestions;
+}
@@ -0,0 +1,223 @@
+// presets.js - Bundled catalog of distracting sites, shared by the background worker and settings
+//
+// Adding a category copies its presets into trackedSites (tagged with presetId)
+// and puts them in a group named after the category. Sites the user already
+// tracks for a preset join the group instead of getting a second row, which
+// the earlier row would shadow anyway. settings.presets remembers
+// which categories were added and which presets the user removed, so a newer
+// catalog shipped in an update can fill in new presets without touching edits.
+
+import { siteMatchesUrl } from './matchers.js';
+
+export const PRESET_CATALOG_VERSION = 1;
+
+export const PRESET_CATEGORIES = [
+  {
+    id: 'short_video',
+    name: 'Short-form video',
+    presets: [
+      { id: 'youtube_shorts', pattern: 'youtube.com/shorts/*', matchType: 'glob' },
+      { id: 'tiktok', pattern: 'tiktok.com', matchType: 'host' },
+      { id: 'instagram_reels', pattern: 'instagram.com/reel*', matchType: 'glob' },
+      { id: 'facebook_reels', pattern: 'facebook.com/reel*', matchType: 'glob' },
+    ],
+  },
+  {
+    id: 'social',
+    name: 'Social media',
+    presets: [
+      { id: 'reddit', pattern: 'reddit.com', matchType: 'host' },
+      { id: 'x', pattern: 'x.com', matchType: 'host' },
+      { id: 'twitter', pattern: 'twitter.com', matchType: 'host' },
+      { id: 'facebook', pattern: 'facebook.com', matchType: 'host' },
+      { id: 'instagram', pattern: 'instagram.com', matchType: 'host' },
+      { id: 'threads', pattern: 'threads.net', matchType: 'host' },
+      { id: 'linkedin_feed', pattern: 'linkedin.com/feed*', matchType: 'glob' },
+    ],
+  },
+  {
+    id: 'streaming',
+    name: 'Streaming',
+    presets: [
+      { id: 'twitch', pattern: 'twitch.tv', matchType: 'host' },
+      { id: 'youtube', pattern: 'youtube.com', matchType: 'host' },
+      { id: 'netflix', pattern: 'netflix.com', matchType: 'host' },
+      { id: 'kick', pattern: 'kick.com', matchType: 'host' },
+    ],
+  },
+  {
+    id: 'news',
+    name: 'News',
+    presets: [
+      { id: 'google_news', pattern: 'news.google.com', matchType: 'host' },
+      { id: 'hacker_news', pattern: 'news.ycombinator.com', matchType: 'host' },
+      { id: 'cnn', pattern: 'cnn.com', matchType: 'host' },
+      { id: 'bbc_news', pattern: 'bbc.com/news*', matchType: 'glob' },
+      { id: 'nytimes', pattern: 'nytimes.com', matchType: 'host' },
+      { id: 'guardian', pattern: 'theguardian.com', matchType: 'host' },
+    ],
+  },
+  {
+    id: 'shopping',
+    name: 'Shopping',
+    presets: [
+      { id: 'amazon', pattern: 'amazon.com', matchType: 'host' },
+      { id: 'ebay', pattern: 'ebay.com', matchType: 'host' },
+      { id: 'etsy', pattern: 'etsy.com', matchType: 'host' },
+      { id: 'aliexpress', pattern: 'aliexpress.com', matchType: 'host' },
+      { id: 'temu', pattern: 'temu.com', matchType: 'host' },
+    ],
+  },
+];
+
+export function getPresetCategory(categoryId) {
+  return PRESET_CATEGORIES.find((category) => category.id === categoryId) || null;
+}
+
+export function getPresetGroupId(categoryId) {
+  return `preset_group_${categoryId}`;
+}
+
+export function getPresetState(settings) {
+  const presets = settings.presets || {};
+  return {
+    catalogVersion: presets.catalogVersion || 0,
+    categories: presets.categories || [],
+    dismissed: presets.dismissed || [],
+  };
+}
+
+// A URL the preset's pattern matches, e.g. "https://instagram.com/reel"
+function getPresetUrl(preset) {
+  return new URL(`https://${preset.pattern.replace(/\*/g, '')}`);
+}
+
+/**
+ * Finds the tracked site that covers a preset: one that came from it, uses the
+ * same pattern or already matches its URLs. Returns null when none does.
+ */
+function findPresetSite(trackedSites, preset) {
+  const url = getPresetUrl(preset);
+  return trackedSites.find((site) => site.presetId === preset.id
+    || (site.pattern === preset.pattern && (site.matchType || 'glob') === preset.matchType)
+    || (site.pattern && siteMatchesUrl(site, url))) || null;
+}
+
+export function isPresetTracked(trackedSites, preset) {
+  return !!findPresetSite(trackedSites, preset);
+}
+
+/**
+ * Copies the presets of a category missing from the tracked sites into them.
+ * A preset some site already covers gets no row of its own; that site joins
+ * the group instead, unless it already belongs to one. Patterns and other
+ * edits of existing sites are never touched.
+ */
+function addMissingPresets(trackedSites, category, groupId, skipIds = []) {
+  const sites = [...trackedSites];
+  let added = 0;
+
+  for (const preset of category.presets) {
+    if (skipIds.includes(preset.id)) continue;
+
+    const existing = findPresetSite(sites, preset);
+    if (existing) {
+      if (groupId && !existing.groupId) {
+        sites[sites.indexOf(existing)] = { ...existing, groupId };
+      }
+      continue;
+    }
+
+    sites.push({
+      pattern: preset.pattern,
+      matchType: preset.matchType,
+      enabled: true,
+      timeThreshold: 0,
+      groupId,
+      presetId: preset.id,
+      id: `preset_${preset.id}`,
+    });
+    added += 1;
+  }
+
+  return { trackedSites: sites, added };
+}
+
+/**
+ * Adds a whole category to the settings. Returns { settings, added } with a new
+ * settings object; presets the user removed earlier come back, since adding the
+ * category again is an explicit request for all of it.
+ */
+export function addPresetCategory(settings, categoryId) {
+  const category = getPresetCategory(categoryId);
+  if (!category) {
+    throw new Error(`Unknown preset category: ${categoryId}`);
+  }
+
+  const state = getPresetState(settings);
+  const groupId = getPresetGroupId(category.id);
+  const groups = [...(settings.groups || [])];
+  if (!groups.some((group) => group.id === groupId)) {
+    groups.push({ id: groupId, name: category.name, threshold: null, alertMessage: null, budget: null });
+  }
+
+  const { trackedSites, added } = addMissingPresets(settings.trackedSites || [], category, groupId);
+  const presetIds = category.presets.map((preset) => preset.id);
+
+  return {
+    settings: {
+      ...settings,
+      groups,
+      trackedSites,
+      presets: {
+        catalogVersion: PRESET_CATALOG_VERSION,
+        categories: state.categories.includes(category.id) ? state.categories : [...state.categories, category.id],
+        dismissed: state.dismissed.filter((id) => !presetIds.includes(id)),
+      },
+    },
+    added,
+  };
+}
+
+/**
+ * Brings the added categories up to the bundled catalog after an update.
+ * Returns { settings, added }; settings is unchanged when already current.
+ */
+export function syncPresetCatalog(settings) {
+  const state = getPresetState(settings);
+  if (state.catalogVersion >= PRESET_CATALOG_VERSION) {
+    return { settings, added: 0 };
+  }
+
+  let trackedSites = settings.trackedSites || [];
+  let added = 0;
+  for (const categoryId of state.categories) {
+    const category = getPresetCategory(categoryId);
+    if (!category) continue;
+
+    // If the user deleted the category's group, new presets stay ungrouped
+    const groupId = getPresetGroupId(category.id);
+    const hasGroup = (settings.groups || []).some((group) => group.id === groupId);
+    const result = addMissingPresets(trackedSites, category, hasGroup ? groupId : null, state.dismissed);
+    trackedSites = result.trackedSites;
+    added += result.added;
+  }
+
+  return {
+    settings: {
+      ...settings,
+      trackedSites,
+      presets: { ...state, catalogVersion: PRESET_CATALOG_VERSION },
+    },
+    added,
+  };
+}
+
+/**
+ * Remembers that the user removed a preset so catalog updates don't bring it back
+ */
+export function dismissPreset(settings, presetId) {
+  const state = getPresetState(settings);
+  if (!presetId || state.dismissed.includes(presetId)) return settings;
+  return { ...settings, presets: { ...state, dismissed: [...state.dismissed, presetId] } };
+}
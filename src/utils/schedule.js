@@ -0,0 +1,108 @@
+// schedule.js - Weekly tracking windows shared by the background worker, popup and settings
+//
+// A schedule looks like { enabled, days } where days[0..6] (Sunday first, like
+// Date#getDay) is a list of { start, end } windows in minutes since midnight.
+// A window whose end is before its start runs past midnight into the next day.
+
+export const SCHEDULE_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Builds the default schedule: Monday to Friday, 9 AM to 6 PM
+ */
+export function createDefaultSchedule(enabled = false) {
+  const workday = [{ start: 9 * 60, end: 18 * 60 }];
+  return {
+    enabled,
+    days: [[], workday, workday, workday, workday, workday, []]
+  };
+}
+
+/**
+ * Checks whether tracking is live at the given time under a schedule.
+ * A missing or disabled schedule means tracking is always live.
+ */
+export function isWithinSchedule(schedule, date = new Date()) {
+  if (!schedule || !schedule.enabled || !Array.isArray(schedule.days)) return true;
+
+  const day = date.getDay();
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const today = schedule.days[day] || [];
+  const yesterday = schedule.days[(day + 6) % 7] || [];
+
+  const inToday = today.some((w) => (w.start < w.end
+    ? minute >= w.start && minute < w.end
+    : minute >= w.start));
+  // Overnight windows from the day before spill into this morning
+  const inSpillover = yesterday.some((w) => w.end < w.start && minute < w.end);
+
+  return inToday || inSpillover;
+}
+
+/**
+ * Finds when tracking next becomes live, or null if the schedule has no windows
+ */
+export function getNextScheduleStart(schedule, date = new Date()) {
+  if (!schedule || !schedule.enabled || !Array.isArray(schedule.days)) return null;
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(date);
+    day.setDate(day.getDate() + offset);
+    day.setHours(0, 0, 0, 0);
+
+    const starts = (schedule.days[day.getDay()] || [])
+      .map((w) => new Date(day.getTime() + w.start * 60 * 1000))
+      .filter((start) => start > date)
+      .sort((a, b) => a - b);
+    if (starts.length > 0) return starts[0];
+  }
+
+  return null;
+}
+
+/**
+ * Picks the schedule that applies to a tracked site: its own when it has one,
+ * otherwise the extension-wide schedule
+ */
+export function getEffectiveSchedule(settings, site) {
+  if (site && site.schedule && site.schedule.enabled) return site.schedule;
+  return settings ? settings.schedule : null;
+}
+
+export function parseTimeOfDay(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+export function formatTimeOfDay(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parses "09:00-12:00, 13:00-18:00" into windows. Throws on malformed input
+ * so the settings page can point at the offending day.
+ */
+export function parseTimeWindows(text) {
+  if (!text || !text.trim()) return [];
+
+  return text.split(',').map((part) => {
+    const [startText, endText] = part.split('-');
+    const start = startText !== undefined ? parseTimeOfDay(startText) : null;
+    const end = endText !== undefined ? parseTimeOfDay(endText) : null;
+    if (start === null || end === null || start === end) {
+      throw new Error(`"${part.trim()}" is not a valid time range (use HH:MM-HH:MM)`);
+    }
+    return { start, end };
+  });
+}
+
+export function formatTimeWindows(windows) {
+  return (windows || [])
+    .map((w) => `${formatTimeOfDay(w.start)}-${formatTimeOfDay(w.end)}`)
+    .join(', ');
+}
@@ -0,0 +1,302 @@
+// stats.js - Statistics dashboard built from the history log
+
+import { HISTORY_KEY_PREFIX, getHistoryDay, loadHistory } from "./src/utils/history.js";
+import { licenseClient } from "./src/utils/licenseClient.js";
+import { getTier, hasFeature } from "./src/utils/features.js";
+
+const CHART_COLORS = ["#8B7CFF", "#FF8FB8", "#6B8AFF", "#7CFFB8", "#FFC37C", "#7CE0FF", "#FF7C7C", "#B8B8B8"];
+const VISIT_CHART_DAYS = 14;
+const ALERT_CHART_WEEKS = 8;
+const RESPONSE_WINDOW_DAYS = 30;
+const RECENT_SNOOZE_COUNT = 10;
+const RECENT_PAUSE_COUNT = 10;
+
+function applyTheme(darkMode) {
+  document.body.classList.toggle("dark", !!darkMode);
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function daysAgo(count) {
+  const d = startOfDay(new Date());
+  d.setDate(d.getDate() - count);
+  return d;
+}
+
+// Weeks start on the same weekday as budget resets so the numbers line up
+function startOfWeek(date, weekStartDay) {
+  const d = startOfDay(date);
+  d.setDate(d.getDate() - ((d.getDay() - weekStartDay + 7) % 7));
+  return d;
+}
+
+function getSiteLabel(siteId, sites) {
+  const site = sites.find((s) => s.id === siteId);
+  return site ? site.pattern : (siteId || "Unknown").replace(/_/g, " ");
+}
+
+function renderBarChart(container, columns, maxValue) {
+  container.innerHTML = "";
+  const scale = maxValue > 0 ? maxValue : 1;
+
+  for (const column of columns) {
+    const columnEl = document.createElement("div");
+    columnEl.className = "stats-column";
+    columnEl.title = `${column.label}: ${column.total}`;
+
+    const stackEl = document.createElement("div");
+    stackEl.className = "stats-stack";
+    for (const segment of column.segments) {
+      if (!segment.value) continue;
+      const segmentEl = document.createElement("div");
+      segmentEl.className = "stats-segment";
+      segmentEl.style.height = `${(segment.value / scale) * 100}%`;
+      segmentEl.style.background = segment.color;
+      segmentEl.title = `${segment.name}: ${segment.value}`;
+      stackEl.appendChild(segmentEl);
+    }
+
+    const labelEl = document.createElement("div");
+    labelEl.className = "stats-column-label";
+    labelEl.textContent = column.label;
+
+    columnEl.appendChild(stackEl);
+    columnEl.appendChild(labelEl);
+    container.appendChild(columnEl);
+  }
+}
+
+function renderLegend(container, items) {
+  container.innerHTML = "";
+  for (const item of items) {
+    const itemEl = document.createElement("span");
+    itemEl.className = "stats-legend-item";
+
+    const swatch = document.createElement("span");
+    swatch.className = "stats-swatch";
+    swatch.style.background = item.color;
+
+    itemEl.appendChild(swatch);
+    itemEl.appendChild(document.createTextNode(item.name));
+    container.appendChild(itemEl);
+  }
+}
+
+function renderVisitsChart(events, sites) {
+  const visits = events.filter((e) => e.type === "visit");
+  const siteIds = [...new Set(visits.map((e) => e.site))];
+  const colors = Object.fromEntries(siteIds.map((id, i) => [id, CHART_COLORS[i % CHART_COLORS.length]]));
+
+  const columns = [];
+  for (let offset = VISIT_CHART_DAYS - 1; offset >= 0; offset--) {
+    const day = daysAgo(offset);
+    const dayKey = getHistoryDay(day);
+    const dayVisits = visits.filter((e) => getHistoryDay(new Date(e.time)) === dayKey);
+    columns.push({
+      label: day.toLocaleDateString([], { month: "numeric", day: "numeric" }),
+      total: dayVisits.length,
+      segments: siteIds.map((id) => ({
+        name: getSiteLabel(id, sites),
+        color: colors[id],
+        value: dayVisits.filter((e) => e.site === id).length
+      }))
+    });
+  }
+
+  renderBarChart(
+    document.getElementById("visits-chart"),
+    columns,
+    Math.max(0, ...columns.map((c) => c.total))
+  );
+  renderLegend(
+    document.getElementById("visits-legend"),
+    siteIds.map((id) => ({ name: getSiteLabel(id, sites), color: colors[id] }))
+  );
+}
+
+function renderAlertsChart(events, weekStartDay) {
+  const alerts = events.filter((e) => e.type === "alert");
+  const thisWeek = startOfWeek(new Date(), weekStartDay);
+
+  const columns = [];
+  for (let offset = ALERT_CHART_WEEKS - 1; offset >= 0; offset--) {
+    const start = new Date(thisWeek);
+    start.setDate(start.getDate() - offset * 7);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 7);
+
+    const count = alerts.filter((e) => e.time >= start.getTime() && e.time < end.getTime()).length;
+    columns.push({
+      label: start.toLocaleDateString([], { month: "numeric", day: "numeric" }),
+      total: count,
+      segments: [{ name: "Alerts", color: CHART_COLORS[1], value: count }]
+    });
+  }
+
+  renderBarChart(
+    document.getElementById("alerts-chart"),
+    columns,
+    Math.max(0, ...columns.map((c) => c.total))
+  );
+
+  const alertsWeekEl = document.getElementById("alerts-week");
+  if (alertsWeekEl) {
+    alertsWeekEl.textContent = columns[columns.length - 1].total;
+  }
+}
+
+function renderResponses(events) {
+  const since = daysAgo(RESPONSE_WINDOW_DAYS - 1).getTime();
+  const recent = events.filter((e) => e.time >= since);
+  const responses = [
+    { name: "Back to work", color: CHART_COLORS[3], value: recent.filter((e) => e.type === "acknowledge").length },
+    { name: "Closed", color: CHART_COLORS[6], value: recent.filter((e) => e.type === "dismiss").length },
+    { name: "Snoozed", color: CHART_COLORS[4], value: recent.filter((e) => e.type === "snooze").length }
+  ];
+  const total = responses.reduce((sum, r) => sum + r.value, 0);
+
+  const ratioEl = document.getElementById("response-ratio");
+  ratioEl.innerHTML = "";
+  for (const response of responses) {
+    if (!response.value) continue;
+    const part = document.createElement("div");
+    part.className = "stats-ratio-part";
+    part.style.width = `${(response.value / total) * 100}%`;
+    part.style.background = response.color;
+    part.title = `${response.name}: ${response.value}`;
+    ratioEl.appendChild(part);
+  }
+
+  renderLegend(
+    document.getElementById("response-legend"),
+    responses.map((r) => ({
+      name: `${r.name}: ${r.value}${total ? ` (${Math.round((r.value / total) * 100)}%)` : ""}`,
+      color: r.color
+    }))
+  );
+
+  const rateEl = document.getElementById("back-to-work-rate");
+  if (rateEl) {
+    rateEl.textContent = total ? `${Math.round((responses[0].value / total) * 100)}%` : "–";
+  }
+}
+
+function renderSnoozes(events, sites) {
+  const since = daysAgo(RESPONSE_WINDOW_DAYS - 1).getTime();
+  const snoozes = events.filter((e) => e.type === "snooze" && e.time >= since);
+  const getReason = (e) => (e.detail && e.detail.reason) || "No reason given";
+
+  const reasonCounts = new Map();
+  for (const snooze of snoozes) {
+    const reason = getReason(snooze);
+    reasonCounts.set(reason, (reasonCounts.get(reason) || 0) + 1);
+  }
+  renderLegend(
+    document.getElementById("snooze-reasons"),
+    [...reasonCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([reason, count], i) => ({ name: `${reason}: ${count}`, color: CHART_COLORS[i % CHART_COLORS.length] }))
+  );
+
+  const listEl = document.getElementById("snooze-list");
+  listEl.innerHTML = "";
+  for (const snooze of snoozes.slice(-RECENT_SNOOZE_COUNT).reverse()) {
+    const itemEl = document.createElement("li");
+    const when = new Date(snooze.time).toLocaleString([], { weekday: "short", hour: "numeric", minute: "2-digit" });
+    const minutes = snooze.detail && snooze.detail.minutes;
+    itemEl.textContent = `${when} · ${getSiteLabel(snooze.site, sites)}${minutes ? ` · ${minutes} min` : ""} · ${getReason(snooze)}`;
+    listEl.appendChild(itemEl);
+  }
+  if (snoozes.length === 0) {
+    const itemEl = document.createElement("li");
+    itemEl.textContent = "No snoozes in the last 30 days.";
+    listEl.appendChild(itemEl);
+  }
+}
+
+function describePause(event) {
+  const minutes = event.detail && event.detail.minutes;
+  if (event.type === "pause") {
+    return minutes ? `Paused for ${minutes} min` : "Paused until resumed";
+  }
+  const how = event.detail && event.detail.automatic ? "Resumed automatically" : "Resumed";
+  return `${how} after ${minutes || 0} min`;
+}
+
+function renderPauses(events) {
+  const since = daysAgo(RESPONSE_WINDOW_DAYS - 1).getTime();
+  const pauses = events.filter((e) => (e.type === "pause" || e.type === "resume") && e.time >= since);
+
+  const listEl = document.getElementById("pause-list");
+  listEl.innerHTML = "";
+  for (const pause of pauses.slice(-RECENT_PAUSE_COUNT).reverse()) {
+    const itemEl = document.createElement("li");
+    const when = new Date(pause.time).toLocaleString([], { weekday: "short", hour: "numeric", minute: "2-digit" });
+    itemEl.textContent = `${when} · ${describePause(pause)}`;
+    listEl.appendChild(itemEl);
+  }
+  if (pauses.length === 0) {
+    const itemEl = document.createElement("li");
+    itemEl.textContent = "No pauses in the last 30 days.";
+    listEl.appendChild(itemEl);
+  }
+}
+
+async function loadStats() {
+  const { settings = {} } = await chrome.storage.local.get("settings");
+  applyTheme(settings.darkMode);
+
+  // Basic users get the banner instead of their history
+  const unlocked = hasFeature(getTier(await licenseClient.hasValidLicense()), "stats");
+  document.getElementById("tier-banner").hidden = unlocked;
+  document.getElementById("stats-cards").hidden = !unlocked;
+  if (!unlocked) return;
+
+  const sites = settings.trackedSites || [];
+  const weekStartDay = settings.budgetReset ? settings.budgetReset.weekStartDay : 1;
+  const earliest = new Date(Math.min(
+    daysAgo(VISIT_CHART_DAYS - 1).getTime(),
+    daysAgo(RESPONSE_WINDOW_DAYS - 1).getTime(),
+    startOfWeek(daysAgo((ALERT_CHART_WEEKS - 1) * 7), weekStartDay).getTime()
+  ));
+  const events = await loadHistory(earliest, new Date());
+
+  const today = getHistoryDay(new Date());
+  const visitsTodayEl = document.getElementById("visits-today");
+  if (visitsTodayEl) {
+    visitsTodayEl.textContent = events.filter((e) => e.type === "visit" && getHistoryDay(new Date(e.time)) === today).length;
+  }
+
+  renderVisitsChart(events, sites);
+  renderAlertsChart(events, weekStartDay);
+  renderResponses(events);
+  renderSnoozes(events, sites);
+  renderPauses(events);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  loadStats().catch((error) => {
+    console.error("Error loading statistics:", error);
+  });
+});
+
+// Lock or unlock as soon as a license is activated or lapses
+licenseClient.onChange(() => {
+  loadStats().catch((error) => {
+    console.error("Error refreshing statistics:", error);
+  });
+});
+
+// Keep the charts current while the page stays open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local") return;
+  if (Object.keys(changes).some((key) => key.startsWith(HISTORY_KEY_PREFIX) || key === "settings")) {
+    loadStats().catch((error) => {
+      console.error("Error refreshing statistics:", error);
+    });
+  }
+});